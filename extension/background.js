@@ -1,5 +1,9 @@
 // Background script for Composer Diff extension
 
+import actionBadge from './modules/action-badge.js';
+import diffWorker from './modules/diff-worker.js';
+import gitlabProxy from './modules/gitlab-proxy.js';
+
 // Handle installation and updates
 chrome.runtime.onInstalled.addListener(function(details) {
   if (details.reason === 'install') {
@@ -13,6 +17,15 @@ chrome.runtime.onInstalled.addListener(function(details) {
 
 // Initialize the extension
 function initialize() {
+  // Parse and diff lock files for the content scripts, off the GitLab page
+  chrome.runtime.onMessage.addListener(diffWorker.handleMessage);
+
+  // Read the GitLab API for the content scripts, sharing requests between tabs
+  chrome.runtime.onMessage.addListener(gitlabProxy.handleMessage);
+
+  // Show the number of dependency changes of each tab on the toolbar button
+  chrome.runtime.onMessage.addListener(actionBadge.handleMessage);
+  chrome.tabs.onUpdated.addListener(actionBadge.handleTabUpdated);
 }
 
 // Run initialization
@@ -12,10 +12,10 @@
     console.log('[Composer Diff] Main module URL:', src);
     const mainModule = await import(src);
     console.log('[Composer Diff] Main module loaded successfully');
-    // Call the initialize function from the main module
-    console.log('[Composer Diff] Calling initialize function...');
-    mainModule.default.initialize();
-    console.log('[Composer Diff] Initialize function called successfully');
+    // Call the start function from the main module
+    console.log('[Composer Diff] Calling start function...');
+    mainModule.default.start();
+    console.log('[Composer Diff] Start function called successfully');
   } catch (error) {
     console.error('[Composer Diff] Error loading main module:', error);
   }
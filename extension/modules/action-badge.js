@@ -0,0 +1,85 @@
+/**
+ * Action badge module for the Composer Diff extension.
+ * Shows the number of dependency changes of each tab on the toolbar button.
+ */
+
+import logger from './logger.js';
+
+// Actions of the messages handled by the badge
+const ACTIONS = {
+  update: 'updateActionBadge'
+};
+
+// Badge colours: GitLab's danger red when reviewers should look closer, its blue otherwise
+const WARNING_COLOR = '#dd2b0e';
+const DEFAULT_COLOR = '#1f75cb';
+
+// Largest count shown in full, the badge only fits a few characters
+const MAX_BADGE_COUNT = 999;
+
+// Toolbar button title when no diff is shown
+const DEFAULT_TITLE = 'Composer Diff for GitLab';
+
+/**
+ * @typedef {Object} BadgeUpdate
+ * @property {string} action - The action, ACTIONS.update
+ * @property {number} count - The number of changed packages, 0 to clear the badge
+ * @property {boolean} warning - Whether there are major updates, downgrades or policy warnings
+ */
+
+/**
+ * Set the badge of a tab
+ * @param {number} tabId - The tab
+ * @param {number} count - The number of changed packages, 0 to clear the badge
+ * @param {boolean} warning - Whether to colour the badge as a warning
+ * @returns {Promise<void>} - Resolves once the badge is set
+ */
+async function setBadge(tabId, count, warning) {
+  const text = count > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : count > 0 ? String(count) : '';
+  const title = count > 0
+    ? `${DEFAULT_TITLE}: ${count} package change${count > 1 ? 's' : ''}${warning ? ' to review closely' : ''}`
+    : DEFAULT_TITLE;
+
+  await Promise.all([
+    chrome.action.setBadgeText({ tabId, text }),
+    chrome.action.setBadgeBackgroundColor({ tabId, color: warning ? WARNING_COLOR : DEFAULT_COLOR }),
+    chrome.action.setTitle({ tabId, title })
+  ]);
+}
+
+/**
+ * Update the badge of the tab sending the message
+ * @param {Object} message - The message
+ * @param {Object} sender - The sender of the message
+ * @returns {boolean} - Whether the message was handled
+ */
+function handleMessage(message, sender) {
+  if (message?.action !== ACTIONS.update || !sender.tab) {
+    return false;
+  }
+
+  logger.debug(`Setting badge of tab ${sender.tab.id} to ${message.count}`);
+  setBadge(sender.tab.id, message.count, message.warning)
+    .catch(error => logger.error('Error setting the action badge', error));
+
+  return false;
+}
+
+/**
+ * Clear the badge of a tab when it loads another page, which may not show a merge request
+ * @param {number} tabId - The tab
+ * @param {Object} changeInfo - What changed in the tab
+ */
+function handleTabUpdated(tabId, changeInfo) {
+  if (changeInfo.status !== 'loading') {
+    return;
+  }
+
+  setBadge(tabId, 0, false).catch(error => logger.debug('Could not clear the action badge', error));
+}
+
+export default {
+  ACTIONS,
+  handleMessage,
+  handleTabUpdated
+};
@@ -4,6 +4,12 @@
  */
 
 import logger from './logger.js';
+import composerVersion from './composer-version.js';
+import repositoryLinks from './repository-links.js';
+import securityAdvisories from './security-advisories.js';
+import licensePolicy from './license-policy.js';
+import domUtils from './dom-utils.js';
+import sanitize from './sanitize.js';
 
 /**
  * @typedef {Object} ComposerPackage
@@ -18,8 +24,65 @@ import logger from './logger.js';
  * @property {'require'|'require-dev'|null} newSection - New section (null if package was removed)
  * @property {string|null} previousVersion - Previous version (null if package was added)
  * @property {string|null} newVersion - New version (null if package was removed)
+ * @property {string|null} previousReference - Previously locked commit (null if package was added)
+ * @property {string|null} newReference - Newly locked commit (null if package was removed)
+ * @property {string|null} previousSourceUrl - Previous repository URL (null if package was added)
+ * @property {string|null} newSourceUrl - New repository URL (null if package was removed)
+ * @property {import('./composer-version.js').ChangeType|null} [changeType] - Kind of version change (updated packages only)
+ * @property {'direct'|'transitive'|null} dependency - Whether composer.json requires the package (null if unknown)
+ * @property {string|null} previousConstraint - Previous composer.json constraint (null if not required directly)
+ * @property {string|null} newConstraint - New composer.json constraint (null if not required directly)
+ * @property {string[]} [previousDependencyChain] - Requirements leading to a transitive package in the old lock
+ * @property {string[]} [newDependencyChain] - Requirements leading to a transitive package in the new lock
+ * @property {import('./security-advisories.js').Advisory[]} [previousAdvisories] - Advisories affecting the previous version
+ * @property {import('./security-advisories.js').Advisory[]} [newAdvisories] - Advisories affecting the new version
+ * @property {'introduced'|'kept'|'fixed'|null} [securityStatus] - How the change affects known vulnerabilities
+ * @property {string[]|null} previousLicense - Previous licenses (null if package was added)
+ * @property {string[]|null} newLicense - New licenses (null if package was removed)
+ * @property {boolean} [licenseChanged] - Whether the license changed between both versions
+ * @property {boolean} [licenseViolation] - Whether the new license breaks the license policy
+ * @property {boolean} abandoned - Whether the package is abandoned (as of the new version, or the previous one if removed)
+ * @property {string|null} replacement - Package suggested instead of the abandoned one, if any
  */
 
+/**
+ * @typedef {Object} PlatformChange
+ * @property {string} key - The lock file key declaring the requirement (platform, platform-dev or platform-overrides)
+ * @property {string} name - The platform package (php, ext-intl, ...)
+ * @property {string|null} previous - Previous constraint or version (null if added)
+ * @property {string|null} new - New constraint or version (null if removed)
+ */
+
+/**
+ * @typedef {Object} PlatformDiff
+ * @property {PlatformChange[]} changes - Changes of the top-level platform declarations
+ * @property {string|null} previousPhp - Lowest PHP version the old lock file can run on (null if unknown)
+ * @property {string|null} newPhp - Lowest PHP version the new lock file can run on (null if unknown)
+ * @property {boolean} phpRaised - Whether the lowest PHP version went up
+ * @property {string[]} addedExtensions - PHP extensions only required by the new lock file
+ * @property {string[]} removedExtensions - PHP extensions only required by the old lock file
+ */
+
+/**
+ * @typedef {Object} DiffOptions
+ * @property {string} [oldManifest] - The old composer.json content
+ * @property {string} [newManifest] - The new composer.json content
+ * @property {import('./security-advisories.js').AdvisoryDatabase} [advisories] - Security advisories to check versions against
+ * @property {import('./license-policy.js').LicensePolicy} [licensePolicy] - Licenses allowed and denied in new or updated packages
+ */
+
+// Rows created per animation frame, so that large lock files do not freeze the page
+const ROW_BATCH_SIZE = 100;
+
+// Lock file keys declaring platform requirements or overrides
+const PLATFORM_KEYS = ['platform', 'platform-dev', 'platform-overrides'];
+
+// Lock file keys and the section their packages belong to
+const LOCK_SECTIONS = {
+  packages: 'require',
+  'packages-dev': 'require-dev'
+};
+
 /**
  * Parse composer.lock content
  * @param {string} content - The composer.lock content
@@ -34,13 +97,390 @@ function parseComposerLock(content) {
   }
 }
 
+/**
+ * Parse composer.json content
+ * @param {string} content - The composer.json content
+ * @returns {Object} - The parsed composer.json content
+ */
+function parseComposerJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    logger.error('Error parsing composer.json content', error);
+    return {};
+  }
+}
+
+/**
+ * Get the constraints composer.json requires, keyed by lowercase package name
+ * @param {Object} manifest - The parsed composer.json content
+ * @returns {Record<string, string>} - The required constraints
+ */
+function getRequiredConstraints(manifest) {
+  const constraints = {};
+
+  for (const section of Object.values(LOCK_SECTIONS)) {
+    for (const [name, constraint] of Object.entries(manifest[section] || {})) {
+      constraints[name.toLowerCase()] = constraint;
+    }
+  }
+
+  return constraints;
+}
+
+/**
+ * Check if composer.json content was available at all
+ * @param {Object} manifest - The parsed composer.json content
+ * @returns {boolean} - Whether the manifest declares requirements
+ */
+function hasRequirements(manifest) {
+  return Object.values(LOCK_SECTIONS).some(section => section in manifest);
+}
+
+/**
+ * Mark each package diff as a direct or transitive dependency
+ * @param {Record<string, Diff>} diffList - The package diffs
+ * @param {Object} oldManifest - The parsed old composer.json content
+ * @param {Object} newManifest - The parsed new composer.json content
+ */
+function annotateDependencies(diffList, oldManifest, newManifest) {
+  // Without any requirement on either side, composer.json is missing rather than empty
+  const hasManifests = hasRequirements(oldManifest) || hasRequirements(newManifest);
+
+  const oldConstraints = getRequiredConstraints(oldManifest);
+  const newConstraints = getRequiredConstraints(newManifest);
+
+  for (const diff of Object.values(diffList)) {
+    const key = diff.name.toLowerCase();
+
+    diff.previousConstraint = oldConstraints[key] ?? null;
+    diff.newConstraint = newConstraints[key] ?? null;
+
+    if (!hasManifests) {
+      diff.dependency = null;
+    } else {
+      diff.dependency = diff.previousConstraint !== null || diff.newConstraint !== null ? 'direct' : 'transitive';
+    }
+  }
+}
+
+/**
+ * Find, for every package of a lock file, the shortest chain of requirements
+ * leading to it from a composer.json requirement
+ * @param {Object} lock - The parsed composer.lock content
+ * @param {Object} manifest - The parsed composer.json content
+ * @returns {Map<string, string[]>} - The chains keyed by lowercase package name, from root to package
+ */
+function buildDependencyChains(lock, manifest) {
+  /** @type {Map<string, Object>} */
+  const packages = new Map();
+  for (const lockSection of Object.keys(LOCK_SECTIONS)) {
+    (lock[lockSection] || []).forEach(lockPackage => packages.set(lockPackage.name.toLowerCase(), lockPackage));
+  }
+
+  /** @type {Map<string, string[]>} */
+  const chains = new Map();
+  const queue = [];
+
+  // Breadth-first walk from the root requirements finds the shortest chains
+  for (const name of Object.keys(getRequiredConstraints(manifest))) {
+    const lockPackage = packages.get(name);
+    if (lockPackage && !chains.has(name)) {
+      chains.set(name, [lockPackage.name]);
+      queue.push(name);
+    }
+  }
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    const chain = chains.get(name);
+
+    for (const requirement of Object.keys(packages.get(name).require || {})) {
+      const key = requirement.toLowerCase();
+      const lockPackage = packages.get(key);
+      if (lockPackage && !chains.has(key)) {
+        chains.set(key, [...chain, lockPackage.name]);
+        queue.push(key);
+      }
+    }
+  }
+
+  return chains;
+}
+
+/**
+ * Record why each transitive package is part of one side of the diff
+ * @param {Record<string, Diff>} diffList - The package diffs
+ * @param {Object} lock - The parsed composer.lock content of that side
+ * @param {Object} manifest - The parsed composer.json content of that side
+ * @param {'previous'|'new'} side - The side of the diff the lock file belongs to
+ */
+function annotateDependencyChains(diffList, lock, manifest, side) {
+  if (!hasRequirements(manifest)) {
+    return;
+  }
+
+  const chains = buildDependencyChains(lock, manifest);
+
+  for (const diff of Object.values(diffList)) {
+    const chain = chains.get(diff.name.toLowerCase());
+    if (diff.dependency === 'transitive' && chain) {
+      diff[`${side}DependencyChain`] = chain;
+    }
+  }
+}
+
+/**
+ * Check both versions of each package against the security advisories
+ * @param {Record<string, Diff>} diffList - The package diffs
+ * @param {import('./security-advisories.js').AdvisoryDatabase} advisories - The advisory database
+ */
+function annotateSecurityAdvisories(diffList, advisories) {
+  for (const diff of Object.values(diffList)) {
+    diff.previousAdvisories = securityAdvisories.findAdvisories(advisories, diff.name, diff.previousVersion);
+    diff.newAdvisories = securityAdvisories.findAdvisories(advisories, diff.name, diff.newVersion);
+
+    if (diff.newAdvisories.length > 0) {
+      diff.securityStatus = diff.previousAdvisories.length > 0 ? 'kept' : 'introduced';
+    } else if (diff.previousAdvisories.length > 0) {
+      diff.securityStatus = 'fixed';
+    } else {
+      diff.securityStatus = null;
+    }
+  }
+}
+
+/**
+ * Record license changes and check new licenses against the license policy
+ * @param {Record<string, Diff>} diffList - The package diffs
+ * @param {import('./license-policy.js').LicensePolicy} [policy] - The license policy
+ */
+function annotateLicenses(diffList, policy) {
+  for (const diff of Object.values(diffList)) {
+    diff.licenseChanged = licensePolicy.hasLicenseChanged(diff.previousLicense, diff.newLicense);
+    diff.licenseViolation = !!policy && diff.newLicense !== null && !licensePolicy.isLicenseAllowed(diff.newLicense, policy);
+  }
+}
+
+/**
+ * Get the platform declarations of a lock file key (Composer writes empty ones as [])
+ * @param {Object} lock - The parsed composer.lock content
+ * @param {string} key - The lock file key
+ * @returns {Record<string, string>} - The declarations keyed by platform package
+ */
+function getPlatformDeclarations(lock, key) {
+  const declarations = lock[key];
+  return declarations && !Array.isArray(declarations) ? declarations : {};
+}
+
+/**
+ * Sum up what a lock file needs from the platform: the lowest PHP version
+ * every package accepts, and every PHP extension any package requires
+ * @param {Object} lock - The parsed composer.lock content
+ * @returns {{php: string|null, extensions: Set<string>}} - The platform needs
+ */
+function getPlatformNeeds(lock) {
+  const requirements = [getPlatformDeclarations(lock, 'platform'), getPlatformDeclarations(lock, 'platform-dev')];
+  for (const lockSection of Object.keys(LOCK_SECTIONS)) {
+    (lock[lockSection] || []).forEach(lockPackage => requirements.push(lockPackage.require || {}));
+  }
+
+  let php = null;
+  const extensions = new Set();
+
+  for (const require of requirements) {
+    for (const [name, constraint] of Object.entries(require)) {
+      const key = name.toLowerCase();
+
+      if (key === 'php') {
+        const bound = composerVersion.getLowerBound(constraint);
+        if (bound && (!php || composerVersion.compareVersions(bound, php) > 0)) {
+          php = bound;
+        }
+      } else if (key.startsWith('ext-')) {
+        extensions.add(key);
+      }
+    }
+  }
+
+  return { php, extensions };
+}
+
+/**
+ * Generate the platform impact of a lock file change
+ * @param {Object} oldLock - The parsed old composer.lock content
+ * @param {Object} newLock - The parsed new composer.lock content
+ * @returns {PlatformDiff} - The platform diff
+ */
+function generatePlatformDiff(oldLock, newLock) {
+  /** @type {PlatformChange[]} */
+  const changes = [];
+
+  for (const key of PLATFORM_KEYS) {
+    const previous = getPlatformDeclarations(oldLock, key);
+    const next = getPlatformDeclarations(newLock, key);
+
+    for (const name of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+      if (previous[name] !== next[name]) {
+        changes.push({ key, name, previous: previous[name] ?? null, new: next[name] ?? null });
+      }
+    }
+  }
+
+  const oldNeeds = getPlatformNeeds(oldLock);
+  const newNeeds = getPlatformNeeds(newLock);
+
+  return {
+    changes,
+    previousPhp: oldNeeds.php,
+    newPhp: newNeeds.php,
+    phpRaised: !!newNeeds.php && (!oldNeeds.php || composerVersion.compareVersions(newNeeds.php, oldNeeds.php) > 0),
+    addedExtensions: [...newNeeds.extensions].filter(extension => !oldNeeds.extensions.has(extension)).sort(),
+    removedExtensions: [...oldNeeds.extensions].filter(extension => !newNeeds.extensions.has(extension)).sort()
+  };
+}
+
+/**
+ * Check if a platform diff has anything worth showing
+ * @param {PlatformDiff} platform - The platform diff
+ * @returns {boolean} - Whether the platform changed
+ */
+function hasPlatformImpact(platform) {
+  return platform.phpRaised || platform.previousPhp !== platform.newPhp || platform.changes.length > 0 ||
+    platform.addedExtensions.length > 0 || platform.removedExtensions.length > 0;
+}
+
+/**
+ * Read the abandoned flag of a lock entry, which Composer writes as true or as the replacement package name
+ * @param {Object} lockPackage - The lock entry
+ * @returns {{abandoned: boolean, replacement: string|null}} - The abandoned flag and suggested replacement
+ */
+function getAbandonment(lockPackage) {
+  const abandoned = lockPackage.abandoned;
+
+  return {
+    abandoned: !!abandoned,
+    replacement: typeof abandoned === 'string' && abandoned ? abandoned : null
+  };
+}
+
+/**
+ * Get the commit a lock entry is locked at
+ * @param {Object} lockPackage - The composer.lock package entry
+ * @returns {string|null} - The locked commit reference or null if unknown
+ */
+function getPackageReference(lockPackage) {
+  return lockPackage.source?.reference || lockPackage.dist?.reference || null;
+}
+
+/**
+ * Check if the locked commit of a package moved while its version may not have
+ * @param {Diff} diff - The package diff
+ * @returns {boolean} - Whether the locked commit changed
+ */
+function hasReferenceChanged(diff) {
+  return !!diff.previousReference && !!diff.newReference && diff.previousReference !== diff.newReference;
+}
+
+/**
+ * Check if the locked commits should be shown next to the version of an updated package
+ *
+ * Branches keep their version name, so the locked commit is what tells what changed.
+ *
+ * @param {Diff} diff - The package diff
+ * @returns {boolean} - Whether to show the commit change
+ */
+function shouldShowReferenceChange(diff) {
+  return hasReferenceChanged(diff) &&
+    (diff.previousVersion === diff.newVersion || composerVersion.isDevVersion(diff.newVersion));
+}
+
+/**
+ * Get the ref identifying one side of a package diff upstream
+ * @param {string|null} version - The locked version
+ * @param {string|null} reference - The locked commit
+ * @returns {{ref: string|null, isTag: boolean}} - The tag for releases, the commit for branches
+ */
+function getUpstreamRef(version, reference) {
+  if (!version || composerVersion.isDevVersion(version)) {
+    return { ref: reference, isTag: false };
+  }
+
+  return { ref: version, isTag: true };
+}
+
+/**
+ * Get the upstream link of a package diff
+ *
+ * Updated packages link to the compare view, added and removed packages to
+ * their tag or commit.
+ *
+ * @param {Diff} diff - The package diff
+ * @returns {{url: string, label: string}|null} - The link, or null if the repository is not supported or its URL is not http(s)
+ */
+function getDiffLink(diff) {
+  const previous = getUpstreamRef(diff.previousVersion, diff.previousReference);
+  const next = getUpstreamRef(diff.newVersion, diff.newReference);
+
+  if (diff.previousSection !== null && diff.newSection !== null) {
+    // A version change on a branch is best compared commit to commit
+    const [fromRef, toRef] = previous.isTag === next.isTag && previous.ref !== next.ref
+      ? [previous.ref, next.ref]
+      : [diff.previousReference, diff.newReference];
+
+    if (!fromRef || !toRef || fromRef === toRef) {
+      return null;
+    }
+
+    const url = sanitize.sanitizeUrl(repositoryLinks.getCompareUrl(diff.newSourceUrl || diff.previousSourceUrl, fromRef, toRef));
+    return url ? { url, label: 'Compare' } : null;
+  }
+
+  const side = diff.newSection !== null ? next : previous;
+  const url = sanitize.sanitizeUrl(repositoryLinks.getRefUrl(diff.newSourceUrl || diff.previousSourceUrl, side.ref, side.isTag));
+
+  return url ? { url, label: side.isTag ? 'Release' : 'Commit' } : null;
+}
+
+/**
+ * Wrap content into a link to the upstream repository, if any
+ * @param {Array<Node|string>|string} content - The content to wrap
+ * @param {Diff} diff - The package diff
+ * @returns {Array<Node|string>|Element|string} - The linked content
+ */
+function linkToUpstream(content, diff) {
+  const link = getDiffLink(diff);
+  if (!link) {
+    return content;
+  }
+
+  return domUtils.createElement('a', {
+    className: 'upstream-link',
+    href: link.url,
+    target: '_blank',
+    rel: 'noopener noreferrer',
+    title: link.label
+  }, content);
+}
+
+/**
+ * Shorten a commit reference for display
+ * @param {string} reference - The commit reference
+ * @returns {string} - The short reference
+ */
+function shortenReference(reference) {
+  return /^[0-9a-f]{40}$/i.test(reference) ? reference.substring(0, 7) : reference;
+}
+
 /**
  * Generate a diff between two composer.lock files
  * @param {string} oldContent - The old composer.lock content
  * @param {string} newContent - The new composer.lock content
- * @returns {Object} - Object containing added, updated, and removed packages
+ * @param {DiffOptions} [options={}] - Extra inputs refining the diff
+ * @returns {Object} - Object containing added, updated, and removed packages, the platform diff, and
+ *   whether the packages were checked against security advisories
  */
-function generateDiff(oldContent, newContent) {
+function generateDiff(oldContent, newContent, options = {}) {
   logger.info('Generating diff between composer.lock files');
 
   const oldLock = parseComposerLock(oldContent);
@@ -51,64 +491,68 @@ function generateDiff(oldContent, newContent) {
   const diffList = {};
 
   // Process packages from old lock file
-  oldLock.packages = oldLock.packages || [];
-  oldLock['packages-dev'] = oldLock['packages-dev'] || [];
-
-  oldLock.packages.forEach(oldPackage => {
-    diffList[oldPackage.name] = {
-      name: oldPackage.name,
-      previousSection: 'require',
-      newSection: null,
-      previousVersion: oldPackage.version,
-      newVersion: null,
-    };
-  });
-
-  oldLock['packages-dev'].forEach(oldPackage => {
-    diffList[oldPackage.name] = {
-      name: oldPackage.name,
-      previousSection: 'require-dev',
-      newSection: null,
-      previousVersion: oldPackage.version,
-      newVersion: null,
-    };
-  });
+  for (const [lockSection, section] of Object.entries(LOCK_SECTIONS)) {
+    (oldLock[lockSection] || []).forEach(oldPackage => {
+      diffList[oldPackage.name] = {
+        name: oldPackage.name,
+        previousSection: section,
+        newSection: null,
+        previousVersion: oldPackage.version,
+        newVersion: null,
+        previousReference: getPackageReference(oldPackage),
+        newReference: null,
+        previousSourceUrl: oldPackage.source?.url || null,
+        newSourceUrl: null,
+        previousLicense: oldPackage.license || [],
+        newLicense: null,
+        ...getAbandonment(oldPackage)
+      };
+    });
+  }
 
   // Process packages from new lock file
-  newLock.packages = newLock.packages || [];
-  newLock['packages-dev'] = newLock['packages-dev'] || [];
-
-  newLock.packages.forEach(newPackage => {
-    const diff = diffList[newPackage.name];
-    if (diff) {
-      diff.newVersion = newPackage.version;
-      diff.newSection = 'require';
-    } else {
-      diffList[newPackage.name] = {
-        name: newPackage.name,
-        previousSection: null,
-        newSection: 'require',
-        previousVersion: null,
-        newVersion: newPackage.version,
-      };
-    }
-  });
+  for (const [lockSection, section] of Object.entries(LOCK_SECTIONS)) {
+    (newLock[lockSection] || []).forEach(newPackage => {
+      const diff = diffList[newPackage.name];
+      if (diff) {
+        diff.newVersion = newPackage.version;
+        diff.newSection = section;
+        diff.newReference = getPackageReference(newPackage);
+        diff.newSourceUrl = newPackage.source?.url || null;
+        diff.newLicense = newPackage.license || [];
+        Object.assign(diff, getAbandonment(newPackage));
+      } else {
+        diffList[newPackage.name] = {
+          name: newPackage.name,
+          previousSection: null,
+          newSection: section,
+          previousVersion: null,
+          newVersion: newPackage.version,
+          previousReference: null,
+          newReference: getPackageReference(newPackage),
+          previousSourceUrl: null,
+          newSourceUrl: newPackage.source?.url || null,
+          previousLicense: null,
+          newLicense: newPackage.license || [],
+          ...getAbandonment(newPackage)
+        };
+      }
+    });
+  }
 
-  newLock['packages-dev'].forEach(newPackage => {
-    const diff = diffList[newPackage.name];
-    if (diff) {
-      diff.newVersion = newPackage.version;
-      diff.newSection = 'require-dev';
-    } else {
-      diffList[newPackage.name] = {
-        name: newPackage.name,
-        previousSection: null,
-        newSection: 'require-dev',
-        previousVersion: null,
-        newVersion: newPackage.version,
-      };
-    }
-  });
+  const oldManifest = parseComposerJson(options.oldManifest || '{}');
+  const newManifest = parseComposerJson(options.newManifest || '{}');
+
+  // Tell direct dependencies from transitive ones, and explain the latter
+  annotateDependencies(diffList, oldManifest, newManifest);
+  annotateDependencyChains(diffList, oldLock, oldManifest, 'previous');
+  annotateDependencyChains(diffList, newLock, newManifest, 'new');
+
+  if (options.advisories) {
+    annotateSecurityAdvisories(diffList, options.advisories);
+  }
+
+  annotateLicenses(diffList, options.licensePolicy);
 
   // Categorize packages as added, updated, or removed
   /** @type {Record<string, Diff>} */
@@ -130,8 +574,11 @@ function generateDiff(oldContent, newContent) {
       // Package was removed
       removedPackages[diff.name] = diff;
     } else if (diff.previousSection !== null && diff.newSection !== null &&
-              (diff.previousVersion !== diff.newVersion || diff.previousSection !== diff.newSection)) {
-      // Package was updated (version or section changed)
+              (diff.previousVersion !== diff.newVersion || diff.previousSection !== diff.newSection ||
+               hasReferenceChanged(diff))) {
+      // Package was updated (version, section or locked commit changed)
+      diff.changeType = composerVersion.classifyUpdate(diff.previousVersion, diff.newVersion) ??
+        (hasReferenceChanged(diff) ? 'dev-change' : null);
       updatedPackages[diff.name] = diff;
     }
   }
@@ -145,154 +592,775 @@ function generateDiff(oldContent, newContent) {
   return {
     added: addedPackages,
     updated: updatedPackages,
-    removed: removedPackages
+    removed: removedPackages,
+    platform: generatePlatformDiff(oldLock, newLock),
+    // An empty database, such as a snapshot never generated, would pass every package silently
+    advisoriesChecked: Object.keys(options.advisories || {}).length > 0
   };
 }
 
 /**
- * Generate HTML for the added packages table
- * @param {Record<string, Diff>} addedPackages - The added packages
- * @returns {string} - The HTML for the added packages table
+ * Sort updated packages so that major bumps and downgrades come first
+ * @param {Record<string, Diff>} updatedPackages - The updated packages
+ * @returns {Diff[]} - The sorted updated packages
+ */
+function sortUpdatedPackages(updatedPackages) {
+  return Object.values(updatedPackages).sort((a, b) =>
+    composerVersion.getChangeTypeRank(a.changeType) - composerVersion.getChangeTypeRank(b.changeType) ||
+    a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Get the row class telling direct and transitive dependencies apart
+ * @param {Diff} diff - The package diff
+ * @returns {string} - The row class, empty if unknown
+ */
+function getDependencyClass(diff) {
+  return diff.dependency ? `package-${diff.dependency}` : '';
+}
+
+/**
+ * Get the row data the table controls filter, sort and group on
+ * @param {Diff} diff - The package diff
+ * @returns {Object} - The data attributes of the row
+ */
+function getRowDataset(diff) {
+  return {
+    package: diff.name.toLowerCase(),
+    vendor: diff.name.split('/')[0].toLowerCase(),
+    section: diff.newSection ?? diff.previousSection,
+    changeType: diff.changeType
+  };
+}
+
+/**
+ * @typedef {Object} RenderedSection
+ * @property {Element} element - The section
+ * @property {Promise<void>} rendered - Resolves once every row is in the table
+ */
+
+/**
+ * Create a collapsible diff section with its table, whose rows are added in batches
+ * @param {'added'|'updated'|'removed'} section - The diff section
+ * @param {string} title - The section title
+ * @param {Diff[]} diffs - The package diffs
+ * @param {Function} createRow - Function creating the row of a package diff
+ * @param {boolean} [sortableChangeType=false] - Whether the version column sorts by change type
+ * @returns {RenderedSection} - The section
+ */
+function createSection(section, title, diffs, createRow, sortableChangeType = false) {
+  const header = domUtils.createElement('tr', {}, [
+    domUtils.createElement('th', { dataset: { sort: 'name' } }, 'Package'),
+    domUtils.createElement('th', { dataset: { sort: sortableChangeType ? 'change-type' : null } }, 'Version'),
+    domUtils.createElement('th', { className: 'column-section', dataset: { sort: 'section' } }, 'Section'),
+    domUtils.createElement('th', { className: 'column-license' }, 'License')
+  ]);
+
+  const tbody = domUtils.createElement('tbody');
+
+  const element = domUtils.createElement('details', { className: 'composer-diff-section', dataset: { section }, open: true }, [
+    domUtils.createElement('summary', {}, domUtils.createElement('h2', {}, [
+      `${title} `,
+      domUtils.createElement('span', { className: 'composer-diff-count' }, `(${diffs.length})`)
+    ])),
+    domUtils.createElement('table', {}, [
+      domUtils.createElement('thead', {}, header),
+      tbody
+    ])
+  ]);
+
+  return { element, rendered: domUtils.appendInBatches(tbody, diffs, createRow, ROW_BATCH_SIZE) };
+}
+
+/**
+ * Create a package row
+ * @param {'added'|'updated'|'removed'} section - The diff section of the package
+ * @param {Diff} diff - The package diff
+ * @param {Array<Node|string>} version - The content of the version cell
+ * @param {Node|string} packageSection - The content of the section cell
+ * @returns {Element} - The row
+ */
+function createPackageRow(section, diff, version, packageSection) {
+  return domUtils.createElement('tr', { className: [`package-${section}`, getDependencyClass(diff)], dataset: getRowDataset(diff) }, [
+    domUtils.createElement('td', {}, createPackageCellContent(diff)),
+    domUtils.createElement('td', {}, version),
+    domUtils.createElement('td', { className: 'column-section' }, packageSection),
+    createLicenseCell(diff)
+  ]);
+}
+
+/**
+ * Create a "from → to" change, with the classes styling each side
+ * @param {string} from - The previous value
+ * @param {string} to - The new value
+ * @param {string} [prefix='version'] - The prefix of the classes (e.g. version-from and version-to)
+ * @param {string} [tagName='span'] - The tag of each side
+ * @returns {Array<Node|string>} - The change
+ */
+function createChange(from, to, prefix = 'version', tagName = 'span') {
+  return [
+    domUtils.createElement(tagName, { className: `${prefix}-from` }, from),
+    ' → ',
+    domUtils.createElement(tagName, { className: `${prefix}-to` }, to)
+  ];
+}
+
+/**
+ * Get the composer.json constraint change of a direct dependency
+ * @param {Diff} diff - The package diff
+ * @returns {string} - The constraint change, empty for transitive dependencies
+ */
+function formatConstraintChange(diff) {
+  if (diff.dependency !== 'direct') {
+    return '';
+  }
+
+  if (diff.previousConstraint === diff.newConstraint || diff.previousConstraint === null || diff.newConstraint === null) {
+    return diff.newConstraint ?? diff.previousConstraint;
+  }
+
+  return `${diff.previousConstraint} → ${diff.newConstraint}`;
+}
+
+/**
+ * Create the content of the package cell, with the composer.json constraint of direct dependencies
+ * or the requirements pulling in transitive ones
+ * @param {Diff} diff - The package diff
+ * @returns {Array<Node|string>} - The content of the package cell
+ */
+function createPackageCellContent(diff) {
+  const constraint = formatConstraintChange(diff);
+  if (constraint) {
+    return [diff.name, ' ', domUtils.createElement('span', { className: 'package-constraint', title: 'composer.json constraint' }, constraint)];
+  }
+
+  // Removed packages can only be explained by the old lock file
+  const chain = diff.newDependencyChain || diff.previousDependencyChain;
+  if (chain) {
+    return [
+      diff.name,
+      domUtils.createElement('details', { className: 'dependency-chain' }, [
+        domUtils.createElement('summary', {}, `Required by ${chain.length > 1 ? chain[chain.length - 2] : chain[0]}`),
+        chain.join(' → ')
+      ])
+    ];
+  }
+
+  return [diff.name];
+}
+
+/**
+ * Create the change type badge of an updated package
+ * @param {Diff} diff - The package diff
+ * @returns {Element|null} - The badge, null if the change type is unknown
+ */
+function createChangeTypeBadge(diff) {
+  if (!diff.changeType) {
+    return null;
+  }
+
+  return domUtils.createElement('span', { className: ['change-type-badge', `change-type-${diff.changeType}`] }, diff.changeType);
+}
+
+// Labels of the security badges, by security status
+const SECURITY_LABELS = {
+  introduced: 'vulnerable',
+  kept: 'still vulnerable',
+  fixed: 'fixes advisory'
+};
+
+/**
+ * Get the advisories a security badge is about
+ * @param {Diff} diff - The package diff
+ * @returns {import('./security-advisories.js').Advisory[]} - The advisories
+ */
+function getBadgeAdvisories(diff) {
+  return diff.securityStatus === 'fixed' ? diff.previousAdvisories : diff.newAdvisories;
+}
+
+/**
+ * Create the security badge of a package
+ * @param {Diff} diff - The package diff
+ * @returns {Element|null} - The badge, null if no advisory is involved
+ */
+function createSecurityBadge(diff) {
+  if (!diff.securityStatus) {
+    return null;
+  }
+
+  const details = getBadgeAdvisories(diff).map(advisory => advisory.cve ? `${advisory.cve}: ${advisory.title}` : advisory.title);
+
+  return domUtils.createElement('span', {
+    className: ['security-badge', `security-${diff.securityStatus}`],
+    title: details.join('\n')
+  }, SECURITY_LABELS[diff.securityStatus]);
+}
+
+/**
+ * Generate the Markdown security note of a package
+ * @param {Diff} diff - The package diff
+ * @returns {string} - The security note, empty if no advisory is involved
  */
-function generateAddedPackagesHtml(addedPackages) {
-  if (Object.keys(addedPackages).length === 0) {
+function generateSecurityMarkdown(diff) {
+  if (!diff.securityStatus) {
     return '';
   }
 
-  return `
-    <h2>Added packages</h2>
-    <table>
-      <thead>
-        <tr>
-          <th>Package</th>
-          <th>Version</th>
-          <th>Section</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${Object.keys(addedPackages).map(packageName => {
-          const diff = addedPackages[packageName];
-          return `
-            <tr class="package-added">
-              <td>${diff.name}</td>
-              <td>${diff.newVersion}</td>
-              <td>${diff.newSection}</td>
-            </tr>
-          `;
-        }).join('')}
-      </tbody>
-    </table>
-  `;
-}
-
-/**
- * Generate HTML for the updated packages table
+  const identifiers = getBadgeAdvisories(diff).map(advisory => advisory.cve || advisory.title);
+  return `(${SECURITY_LABELS[diff.securityStatus]}: ${identifiers.join(', ')})`;
+}
+
+/**
+ * Describe an abandoned package and its suggested replacement
+ * @param {Diff} diff - The package diff
+ * @returns {string} - The description, e.g. "abandoned, use vendor/replacement"
+ */
+function describeAbandonment(diff) {
+  return diff.replacement ? `abandoned, use ${diff.replacement}` : 'abandoned';
+}
+
+/**
+ * Create the abandoned badge of a package
+ * @param {Diff} diff - The package diff
+ * @returns {Element|null} - The badge, null if the package is not abandoned
+ */
+function createAbandonedBadge(diff) {
+  if (!diff.abandoned) {
+    return null;
+  }
+
+  return domUtils.createElement('span', { className: 'abandoned-badge', title: 'The maintainers no longer support this package' }, describeAbandonment(diff));
+}
+
+/**
+ * Create the content of the version cell: the linked version and the badges
+ * @param {Array<Node|string>|string} version - The version, or version change
+ * @param {Diff} diff - The package diff
+ * @param {Array<Element|null>} badges - The badges
+ * @returns {Array<Node|string>} - The content of the version cell
+ */
+function createVersionCellContent(version, diff, badges) {
+  return [linkToUpstream(version, diff), ...badges.filter(Boolean).flatMap(badge => [' ', badge])];
+}
+
+/**
+ * Format a list of licenses for display
+ * @param {string[]} licenses - The licenses
+ * @returns {string} - The formatted licenses
+ */
+function formatLicense(licenses) {
+  return licenses.length > 0 ? licenses.join(', ') : 'unknown';
+}
+
+/**
+ * Create the license cell of a package
+ * @param {Diff} diff - The package diff
+ * @returns {Element} - The license cell
+ */
+function createLicenseCell(diff) {
+  const license = diff.licenseChanged
+    ? createChange(formatLicense(diff.previousLicense), formatLicense(diff.newLicense), 'license')
+    : formatLicense(diff.newLicense ?? diff.previousLicense);
+
+  return domUtils.createElement('td', {
+    className: ['column-license', diff.licenseChanged && 'license-changed', diff.licenseViolation && 'license-violation'],
+    title: diff.licenseViolation ? 'Not allowed by the license policy' : null
+  }, license);
+}
+
+/**
+ * @typedef {Object} DiffWarning
+ * @property {'abandoned'|'security'|'license'|'advisories'} type - The kind of warning
+ * @property {string} message - The warning shown to reviewers
+ */
+
+/**
+ * Collect the policy warnings raised by the new or updated packages, and the checks that could not run
+ * @param {Object} diff - Object containing added, updated, and removed packages
+ * @returns {DiffWarning[]} - The warnings, empty if there is nothing to warn about
+ */
+function collectWarnings({ added, updated, advisoriesChecked }) {
+  const changedPackages = [...Object.values(added), ...Object.values(updated)];
+  const warnings = [];
+
+  if (!advisoriesChecked) {
+    warnings.push({
+      type: 'advisories',
+      message: 'No security advisory data: packages were not checked for known vulnerabilities'
+    });
+  }
+
+  const abandoned = Object.values(added)
+    .filter(diff => diff.abandoned)
+    .map(diff => diff.replacement ? `${diff.name} (use ${diff.replacement})` : diff.name);
+
+  if (abandoned.length > 0) {
+    warnings.push({
+      type: 'abandoned',
+      message: `${abandoned.length} abandoned package${abandoned.length > 1 ? 's' : ''} added: ${abandoned.join(', ')}`
+    });
+  }
+
+  const vulnerable = changedPackages
+    .filter(diff => diff.securityStatus === 'introduced' || diff.securityStatus === 'kept')
+    .map(diff => diff.name);
+
+  if (vulnerable.length > 0) {
+    warnings.push({
+      type: 'security',
+      message: `${vulnerable.length} package${vulnerable.length > 1 ? 's' : ''} with known security advisories: ${vulnerable.join(', ')}`
+    });
+  }
+
+  const disallowed = changedPackages
+    .filter(diff => diff.licenseViolation)
+    .map(diff => `${diff.name} (${formatLicense(diff.newLicense)})`);
+
+  if (disallowed.length > 0) {
+    warnings.push({
+      type: 'license',
+      message: `${disallowed.length} package${disallowed.length > 1 ? 's' : ''} not allowed by the license policy: ${disallowed.join(', ')}`
+    });
+  }
+
+  return warnings;
+}
+
+/**
+ * Create the warnings shown above the tables
+ * @param {Object} diff - Object containing added, updated, and removed packages
+ * @returns {Element[]} - The warnings, empty if there is nothing to warn about
+ */
+function createWarnings(diff) {
+  return collectWarnings(diff).map(warning =>
+    domUtils.createElement('div', { className: ['composer-diff-warning', `${warning.type}-warning`] }, warning.message)
+  );
+}
+
+/**
+ * @typedef {Object} DiffSummary
+ * @property {number} added - Number of added packages
+ * @property {number} updated - Number of updated packages
+ * @property {number} removed - Number of removed packages
+ * @property {Diff[]} majorUpdates - Updated packages with a major version bump
+ * @property {Diff[]} downgrades - Updated packages going back to an older version
+ * @property {string|null} raisedPhp - The new minimum PHP version, if the change raised it
+ * @property {DiffWarning[]} warnings - The policy warnings
+ */
+
+/**
+ * Summarize a diff for the places too small for the full tables
+ * @param {Object} diff - Object containing added, updated, and removed packages, and the platform diff
+ * @returns {DiffSummary} - The summary
+ */
+function summarizeDiff(diff) {
+  const updatedPackages = sortUpdatedPackages(diff.updated);
+
+  return {
+    added: Object.keys(diff.added).length,
+    updated: updatedPackages.length,
+    removed: Object.keys(diff.removed).length,
+    majorUpdates: updatedPackages.filter(packageDiff => packageDiff.changeType === 'major'),
+    downgrades: updatedPackages.filter(packageDiff => packageDiff.changeType === 'downgrade'),
+    raisedPhp: diff.platform?.phpRaised ? diff.platform.newPhp : null,
+    warnings: collectWarnings(diff)
+  };
+}
+
+/**
+ * Describe the package counts of a diff summary
+ * @param {DiffSummary} summary - The diff summary
+ * @returns {string} - The description, e.g. "2 added, 14 updated, 1 removed"
+ */
+function describeSummaryCounts(summary) {
+  const counts = [['added', summary.added], ['updated', summary.updated], ['removed', summary.removed]]
+    .filter(([, count]) => count > 0)
+    .map(([label, count]) => `${count} ${label}`);
+
+  return counts.length > 0 ? counts.join(', ') : 'no package changes';
+}
+
+/**
+ * Describe the changes of a diff summary reviewers should look at first
+ * @param {DiffSummary} summary - The diff summary
+ * @returns {Array<{type: string, text: string}>} - The highlights, with their type for styling
+ */
+function describeSummaryHighlights(summary) {
+  const formatUpdate = diff => `${diff.name} ${diff.previousVersion} → ${diff.newVersion}`;
+  const highlights = [];
+
+  if (summary.majorUpdates.length > 0) {
+    highlights.push({ type: 'major', text: `Major updates: ${summary.majorUpdates.map(formatUpdate).join(', ')}` });
+  }
+
+  if (summary.downgrades.length > 0) {
+    highlights.push({ type: 'downgrade', text: `Downgrades: ${summary.downgrades.map(formatUpdate).join(', ')}` });
+  }
+
+  if (summary.raisedPhp) {
+    highlights.push({ type: 'platform', text: `Minimum PHP version raised to ${summary.raisedPhp}` });
+  }
+
+  summary.warnings.forEach(warning => highlights.push({ type: `${warning.type}-warning`, text: warning.message }));
+
+  return highlights;
+}
+
+/**
+ * Describe the platform impact, shared by the DOM and Markdown outputs
+ *
+ * Each line is a list of text parts and "from → to" changes, so that each
+ * output can escape and format them its own way.
+ *
+ * @param {PlatformDiff} platform - The platform diff
+ * @returns {Array<Array<string|{from: string, to: string}>>} - The lines
+ */
+function describePlatformImpact(platform) {
+  const lines = [];
+
+  if (platform.previousPhp !== platform.newPhp) {
+    lines.push(['Minimum PHP version: ', { from: platform.previousPhp ?? 'any', to: platform.newPhp ?? 'any' }]);
+  }
+
+  if (platform.addedExtensions.length > 0) {
+    lines.push([`Newly required extensions: ${platform.addedExtensions.join(', ')}`]);
+  }
+
+  if (platform.removedExtensions.length > 0) {
+    lines.push([`No longer required extensions: ${platform.removedExtensions.join(', ')}`]);
+  }
+
+  for (const change of platform.changes) {
+    lines.push([`${change.key} ${change.name}: `, { from: change.previous ?? 'none', to: change.new ?? 'none' }]);
+  }
+
+  return lines;
+}
+
+/**
+ * Create the platform impact section
+ * @param {PlatformDiff} platform - The platform diff
+ * @returns {Element[]} - The title and list of the platform impact, empty if the platform did not change
+ */
+function createPlatformImpact(platform) {
+  if (!platform || !hasPlatformImpact(platform)) {
+    return [];
+  }
+
+  const breaking = platform.phpRaised || platform.addedExtensions.length > 0;
+  const items = describePlatformImpact(platform).map(line =>
+    domUtils.createElement('li', {}, line.map(part => typeof part === 'string' ? part : createChange(part.from, part.to)))
+  );
+
+  return [
+    domUtils.createElement('h2', {}, 'Platform impact'),
+    domUtils.createElement('ul', { className: ['platform-impact', breaking && 'platform-impact-breaking'] }, items)
+  ];
+}
+
+/**
+ * Create the added packages section
+ * @param {Record<string, Diff>} addedPackages - The added packages
+ * @returns {RenderedSection|null} - The added packages section, null if no package was added
+ */
+function createAddedPackagesSection(addedPackages) {
+  const diffs = Object.values(addedPackages);
+  if (diffs.length === 0) {
+    return null;
+  }
+
+  return createSection('added', 'Added packages', diffs, diff => createPackageRow(
+    'added',
+    diff,
+    createVersionCellContent(diff.newVersion, diff, [createSecurityBadge(diff), createAbandonedBadge(diff)]),
+    diff.newSection
+  ));
+}
+
+/**
+ * Create the updated packages section
  * @param {Record<string, Diff>} updatedPackages - The updated packages
- * @returns {string} - The HTML for the updated packages table
+ * @returns {RenderedSection|null} - The updated packages section, null if no package was updated
  */
-function generateUpdatedPackagesHtml(updatedPackages) {
+function createUpdatedPackagesSection(updatedPackages) {
   if (Object.keys(updatedPackages).length === 0) {
-    return '';
+    return null;
   }
 
-  return `
-    <h2>Updated packages</h2>
-    <table>
-      <thead>
-        <tr>
-          <th>Package</th>
-          <th>Version</th>
-          <th>Section</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${Object.keys(updatedPackages).map(packageName => {
-          const diff = updatedPackages[packageName];
-          
-          const versionChanged = diff.previousVersion !== diff.newVersion;
-          const version = versionChanged 
-            ? `<span class="version-from">${diff.previousVersion}</span> → <span class="version-to">${diff.newVersion}</span>` 
-            : diff.newVersion;
-          
-          const sectionChanged = diff.previousSection !== diff.newSection;
-          const section = sectionChanged 
-            ? `<span class="section-from">${diff.previousSection}</span> → <span class="section-to">${diff.newSection}</span>` 
-            : diff.newSection;
-          
-          return `
-            <tr class="package-updated">
-              <td>${diff.name}</td>
-              <td>${version}</td>
-              <td>${section}</td>
-            </tr>
-          `;
-        }).join('')}
-      </tbody>
-    </table>
-  `;
-}
-
-/**
- * Generate HTML for the removed packages table
+  return createSection('updated', 'Updated packages', sortUpdatedPackages(updatedPackages), diff => {
+    const version = diff.previousVersion !== diff.newVersion
+      ? createChange(diff.previousVersion, diff.newVersion)
+      : [diff.newVersion];
+
+    if (shouldShowReferenceChange(diff)) {
+      version.push(' ', domUtils.createElement('span', { className: 'reference-change' }, [
+        '(',
+        createChange(shortenReference(diff.previousReference), shortenReference(diff.newReference), 'reference', 'code'),
+        ')'
+      ]));
+    }
+
+    const section = diff.previousSection !== diff.newSection
+      ? createChange(diff.previousSection, diff.newSection, 'section')
+      : diff.newSection;
+
+    return createPackageRow(
+      'updated',
+      diff,
+      createVersionCellContent(version, diff, [createChangeTypeBadge(diff), createSecurityBadge(diff), createAbandonedBadge(diff)]),
+      section
+    );
+  }, true);
+}
+
+/**
+ * Create the removed packages section
  * @param {Record<string, Diff>} removedPackages - The removed packages
- * @returns {string} - The HTML for the removed packages table
+ * @returns {RenderedSection|null} - The removed packages section, null if no package was removed
+ */
+function createRemovedPackagesSection(removedPackages) {
+  const diffs = Object.values(removedPackages);
+  if (diffs.length === 0) {
+    return null;
+  }
+
+  return createSection('removed', 'Removed packages', diffs, diff => createPackageRow(
+    'removed',
+    diff,
+    createVersionCellContent(diff.previousVersion, diff, [createSecurityBadge(diff)]),
+    diff.previousSection
+  ));
+}
+
+/**
+ * @typedef {Object} RenderedDiff
+ * @property {DocumentFragment} content - The nodes of the composer diff
+ * @property {Promise<void>} rendered - Resolves once every table row is rendered
  */
-function generateRemovedPackagesHtml(removedPackages) {
-  if (Object.keys(removedPackages).length === 0) {
+
+/**
+ * Render a composer diff
+ *
+ * Every value read from the lock files is inserted as text, so a crafted lock
+ * file cannot add markup to the GitLab page. Large tables get their rows in
+ * batches, after the content is returned.
+ *
+ * @param {Object} diff - Object containing added, updated, and removed packages, and the platform diff
+ * @returns {RenderedDiff} - The rendered diff
+ */
+function renderDiff(diff) {
+  logger.info('Rendering composer diff');
+
+  const { added, updated, removed, platform } = diff;
+
+  const content = document.createDocumentFragment();
+  const platformImpact = createPlatformImpact(platform);
+  const sections = [
+    createAddedPackagesSection(added),
+    createUpdatedPackagesSection(updated),
+    createRemovedPackagesSection(removed)
+  ].filter(Boolean);
+
+  // If there are no changes, show a message
+  if (platformImpact.length === 0 && sections.length === 0) {
+    content.appendChild(domUtils.createElement('p', {}, 'No changes found in composer.lock file.'));
+    return { content, rendered: Promise.resolve() };
+  }
+
+  content.append(...createWarnings(diff), ...platformImpact, ...sections.map(section => section.element));
+
+  return {
+    content,
+    rendered: Promise.all(sections.map(section => section.rendered)).then(() => {})
+  };
+}
+
+/**
+ * Escape a value for use in a Markdown table cell
+ * @param {string|null} value - The value to escape
+ * @returns {string} - The escaped value
+ */
+function escapeMarkdownCell(value) {
+  return sanitize.escapeMarkdown(value).replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Generate the Markdown link cell of a package diff
+ * @param {Diff} diff - The package diff
+ * @returns {string} - The Markdown link, empty if the repository is not supported
+ */
+function generateMarkdownLink(diff) {
+  const link = getDiffLink(diff);
+  if (!link) {
     return '';
   }
 
-  return `
-    <h2>Removed packages</h2>
-    <table>
-      <thead>
-        <tr>
-          <th>Package</th>
-          <th>Version</th>
-          <th>Section</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${Object.keys(removedPackages).map(packageName => {
-          const diff = removedPackages[packageName];
-          return `
-            <tr class="package-removed">
-              <td>${diff.name}</td>
-              <td>${diff.previousVersion}</td>
-              <td>${diff.previousSection}</td>
-            </tr>
-          `;
-        }).join('')}
-      </tbody>
-    </table>
-  `;
-}
-
-/**
- * Generate HTML for the composer diff
- * @param {string} oldContent - The old composer.lock content
- * @param {string} newContent - The new composer.lock content
- * @returns {string} - The HTML for the composer diff
+  // Characters ending the link or the table cell early
+  const url = link.url.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/\|/g, '%7C');
+  return `[${link.label}](${url})`;
+}
+
+/**
+ * Generate the Markdown package cell, with the composer.json constraint of direct dependencies
+ * @param {Diff} diff - The package diff
+ * @returns {string} - The package cell
+ */
+function generateMarkdownPackage(diff) {
+  const constraint = formatConstraintChange(diff);
+  return constraint ? `${diff.name} (${constraint})` : diff.name;
+}
+
+/**
+ * Generate the Markdown license cell of a package diff
+ * @param {Diff} diff - The package diff
+ * @returns {string} - The license cell
+ */
+function generateMarkdownLicense(diff) {
+  const license = diff.licenseChanged
+    ? `${formatLicense(diff.previousLicense)} → ${formatLicense(diff.newLicense)}`
+    : formatLicense(diff.newLicense ?? diff.previousLicense);
+
+  return diff.licenseViolation ? `${license} (not allowed)` : license;
+}
+
+/**
+ * Generate a Markdown table, followed by the upstream link of each package
+ * @param {string} title - The table title
+ * @param {Diff[]} diffs - The package diffs
+ * @param {Function} getCells - Function giving the text cells of a package diff, escaped here
+ * @returns {string} - The Markdown table
+ */
+function generateMarkdownTable(title, diffs, getCells) {
+  if (diffs.length === 0) {
+    return '';
+  }
+
+  return [
+    `### ${title}`,
+    '',
+    '| Package | Version | Section | License | Link |',
+    '|---------|---------|---------|---------|------|',
+    ...diffs.map(diff => `| ${getCells(diff).map(escapeMarkdownCell).join(' | ')} | ${generateMarkdownLink(diff)} |`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generate Markdown for the platform impact section
+ * @param {PlatformDiff} platform - The platform diff
+ * @returns {string} - The Markdown for the platform impact section, empty if the platform did not change
+ */
+function generatePlatformMarkdown(platform) {
+  if (!platform || !hasPlatformImpact(platform)) {
+    return '';
+  }
+
+  const lines = describePlatformImpact(platform).map(line => line.map(part => typeof part === 'string'
+    ? sanitize.escapeMarkdown(part)
+    : `${sanitize.formatMarkdownCode(part.from)} → ${sanitize.formatMarkdownCode(part.to)}`
+  ).join(''));
+
+  return ['### Platform impact', '', ...lines.map(line => `- ${line}`), ''].join('\n');
+}
+
+/**
+ * Generate Markdown for the added packages table
+ * @param {Record<string, Diff>} addedPackages - The added packages
+ * @returns {string} - The Markdown for the added packages table
+ */
+function generateAddedPackagesMarkdown(addedPackages) {
+  return generateMarkdownTable('Added packages', Object.values(addedPackages), diff => [
+    generateMarkdownPackage(diff),
+    [
+      diff.newVersion,
+      generateSecurityMarkdown(diff),
+      diff.abandoned ? `(${describeAbandonment(diff)})` : ''
+    ].filter(Boolean).join(' '),
+    diff.newSection,
+    generateMarkdownLicense(diff)
+  ]);
+}
+
+/**
+ * Generate Markdown for the updated packages table
+ * @param {Record<string, Diff>} updatedPackages - The updated packages
+ * @returns {string} - The Markdown for the updated packages table
+ */
+function generateUpdatedPackagesMarkdown(updatedPackages) {
+  return generateMarkdownTable('Updated packages', sortUpdatedPackages(updatedPackages), diff => [
+    generateMarkdownPackage(diff),
+    [
+      diff.previousVersion !== diff.newVersion ? `${diff.previousVersion} → ${diff.newVersion}` : diff.newVersion,
+      shouldShowReferenceChange(diff)
+        ? `(${shortenReference(diff.previousReference)} → ${shortenReference(diff.newReference)})`
+        : '',
+      diff.changeType ? `(${diff.changeType})` : '',
+      generateSecurityMarkdown(diff),
+      diff.abandoned ? `(${describeAbandonment(diff)})` : ''
+    ].filter(Boolean).join(' '),
+    diff.previousSection !== diff.newSection ? `${diff.previousSection} → ${diff.newSection}` : diff.newSection,
+    generateMarkdownLicense(diff)
+  ]);
+}
+
+/**
+ * Generate Markdown for the removed packages table
+ * @param {Record<string, Diff>} removedPackages - The removed packages
+ * @returns {string} - The Markdown for the removed packages table
+ */
+function generateRemovedPackagesMarkdown(removedPackages) {
+  return generateMarkdownTable('Removed packages', Object.values(removedPackages), diff => [
+    generateMarkdownPackage(diff),
+    [diff.previousVersion, generateSecurityMarkdown(diff)].filter(Boolean).join(' '),
+    diff.previousSection,
+    generateMarkdownLicense(diff)
+  ]);
+}
+
+/**
+ * Generate the Markdown heading of the diff of a composer.lock
+ *
+ * The path comes from the merge request, so it is kept in a code span where
+ * its text cannot be read as Markdown, such as mentions.
+ *
+ * @param {string} filePath - The repository path of the composer.lock file
+ * @returns {string} - The Markdown heading
+ */
+function generateMarkdownHeading(filePath) {
+  return `## Composer diff: ${sanitize.formatMarkdownCode(filePath)}`;
+}
+
+/**
+ * Generate Markdown for the composer diff
+ * @param {Object} diff - Object containing added, updated, and removed packages, and the platform diff
+ * @returns {string} - The Markdown for the composer diff
  */
-function generateHtml(oldContent, newContent) {
-  logger.info('Generating HTML for composer diff');
+function generateMarkdown(diff) {
+  logger.info('Generating Markdown for composer diff');
 
-  const { added, updated, removed } = generateDiff(oldContent, newContent);
+  const { added, updated, removed, platform } = diff;
 
-  const addedHtml = generateAddedPackagesHtml(added);
-  const updatedHtml = generateUpdatedPackagesHtml(updated);
-  const removedHtml = generateRemovedPackagesHtml(removed);
+  const platformMarkdown = generatePlatformMarkdown(platform);
+  const addedMarkdown = generateAddedPackagesMarkdown(added);
+  const updatedMarkdown = generateUpdatedPackagesMarkdown(updated);
+  const removedMarkdown = generateRemovedPackagesMarkdown(removed);
 
   // If there are no changes, show a message
-  if (!addedHtml && !updatedHtml && !removedHtml) {
-    return '<p>No changes found in composer.lock file.</p>';
+  if (!platformMarkdown && !addedMarkdown && !updatedMarkdown && !removedMarkdown) {
+    return 'No changes found in composer.lock file.\n';
   }
 
-  return [addedHtml, updatedHtml, removedHtml].join('\n');
+  return [platformMarkdown, addedMarkdown, updatedMarkdown, removedMarkdown].filter(Boolean).join('\n');
 }
 
 export default {
   parseComposerLock,
   generateDiff,
-  generateHtml
+  summarizeDiff,
+  describeSummaryCounts,
+  describeSummaryHighlights,
+  renderDiff,
+  generateMarkdownHeading,
+  generateMarkdown
 };
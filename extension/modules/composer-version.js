@@ -0,0 +1,312 @@
+/**
+ * Composer version module for the Composer Diff extension.
+ * Provides Composer-aware parsing, comparison and classification of package versions.
+ */
+
+// Stabilities from least to most stable, as ordered by Composer
+const STABILITY_ORDER = {
+  dev: 0,
+  alpha: 1,
+  beta: 2,
+  rc: 3,
+  stable: 4,
+  patch: 5
+};
+
+// Short stability flags Composer accepts in version strings
+const STABILITY_ALIASES = {
+  a: 'alpha',
+  b: 'beta',
+  p: 'patch',
+  pl: 'patch'
+};
+
+// Sort rank of each change type, most important first
+const CHANGE_TYPE_RANK = {
+  downgrade: 0,
+  major: 1,
+  minor: 2,
+  patch: 3,
+  'dev-change': 4
+};
+
+const CONSTRAINT_PATTERN = /^(>=|<=|==|!=|<>|>|<|=)?\s*(.+)$/;
+
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\.(\d+))?(?:[._-]?(stable|beta|b|rc|alpha|a|patch|pl|p)(?:[.-]?(\d+))?)?$/i;
+
+/**
+ * @typedef {Object} ParsedVersion
+ * @property {number[]} numbers - The four numeric parts of the version
+ * @property {string} stability - The stability of the version (dev, alpha, beta, rc, stable or patch)
+ * @property {number} stabilityNumber - The number following the stability flag (e.g. 2 for RC2)
+ */
+
+/**
+ * @typedef {'major'|'minor'|'patch'|'downgrade'|'dev-change'} ChangeType
+ */
+
+/**
+ * Check if a version points to a branch rather than a release
+ * @param {string|null} version - The version to check
+ * @returns {boolean} - Whether the version is a dev branch
+ */
+function isDevVersion(version) {
+  if (typeof version !== 'string') {
+    return false;
+  }
+
+  const normalized = version.trim().toLowerCase();
+  return normalized.startsWith('dev-') || normalized.endsWith('-dev') || /(^|\.)x$/.test(normalized);
+}
+
+/**
+ * Parse a release version the way Composer normalises it
+ * @param {string|null} version - The version to parse (e.g. v1.2.3, 2.0.0-RC2)
+ * @returns {ParsedVersion|null} - The parsed version, or null for dev branches and unknown formats
+ */
+function parseVersion(version) {
+  if (typeof version !== 'string' || isDevVersion(version)) {
+    return null;
+  }
+
+  // Build metadata does not take part in comparisons
+  const match = version.trim().replace(/\+.*$/, '').match(VERSION_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const stabilityFlag = (match[5] || 'stable').toLowerCase();
+
+  return {
+    numbers: [1, 2, 3, 4].map(index => parseInt(match[index] || '0', 10)),
+    stability: STABILITY_ALIASES[stabilityFlag] || stabilityFlag,
+    stabilityNumber: parseInt(match[6] || '0', 10)
+  };
+}
+
+/**
+ * Compare two parsed versions
+ * @param {ParsedVersion} a - The first version
+ * @param {ParsedVersion} b - The second version
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if they are equal
+ */
+function compareParsedVersions(a, b) {
+  for (let index = 0; index < a.numbers.length; index++) {
+    if (a.numbers[index] !== b.numbers[index]) {
+      return a.numbers[index] - b.numbers[index];
+    }
+  }
+
+  if (a.stability !== b.stability) {
+    return STABILITY_ORDER[a.stability] - STABILITY_ORDER[b.stability];
+  }
+
+  return a.stabilityNumber - b.stabilityNumber;
+}
+
+/**
+ * Compare two versions
+ * @param {string} a - The first version
+ * @param {string} b - The second version
+ * @returns {number|null} - Negative if a < b, positive if a > b, 0 if equal, null if either cannot be compared
+ */
+function compareVersions(a, b) {
+  const parsedA = parseVersion(a);
+  const parsedB = parseVersion(b);
+
+  if (!parsedA || !parsedB) {
+    return null;
+  }
+
+  return compareParsedVersions(parsedA, parsedB);
+}
+
+/**
+ * Check if a parsed version satisfies a single comparison (e.g. ">=1.2.0")
+ * @param {ParsedVersion} version - The parsed version
+ * @param {string} comparison - The comparison
+ * @returns {boolean} - Whether the version satisfies the comparison
+ */
+function satisfiesComparison(version, comparison) {
+  if (comparison === '*') {
+    return true;
+  }
+
+  const match = comparison.match(CONSTRAINT_PATTERN);
+  const bound = match && parseVersion(match[2]);
+  if (!bound) {
+    return false;
+  }
+
+  const result = compareParsedVersions(version, bound);
+
+  switch (match[1]) {
+    case '>=':
+      return result >= 0;
+    case '<=':
+      return result <= 0;
+    case '>':
+      return result > 0;
+    case '<':
+      return result < 0;
+    case '!=':
+    case '<>':
+      return result !== 0;
+    default:
+      return result === 0;
+  }
+}
+
+/**
+ * Check if a version satisfies a range made of comparisons, such as the ones
+ * used by security advisories (">=1.0,<1.2.3|>=2.0,<2.1.1")
+ *
+ * Alternatives are separated by "|" or "||", and comparisons within an
+ * alternative by "," or spaces. Dev branches never satisfy a range.
+ *
+ * @param {string} version - The version to check
+ * @param {string} constraint - The range
+ * @returns {boolean} - Whether the version satisfies the range
+ */
+function satisfiesRange(version, constraint) {
+  const parsed = parseVersion(version);
+  if (!parsed || typeof constraint !== 'string') {
+    return false;
+  }
+
+  return constraint.split(/\s*\|\|?\s*/).some(alternative => {
+    // Glue operators to their version so that ">= 1.0" is a single comparison
+    const comparisons = alternative.replace(/(>=|<=|==|!=|<>|>|<|=)\s+/g, '$1').split(/[\s,]+/).filter(Boolean);
+    return comparisons.length > 0 && comparisons.every(comparison => satisfiesComparison(parsed, comparison));
+  });
+}
+
+/**
+ * Get the lowest version a single comparison accepts
+ * @param {string} comparison - The comparison (e.g. "^8.1", ">=7.4", "8.2.*")
+ * @returns {string|null} - The lowest accepted version, or null if unbounded below
+ */
+function getComparisonLowerBound(comparison) {
+  if (comparison === '*' || comparison.startsWith('<') || comparison.startsWith('!=') || comparison.startsWith('<>')) {
+    return null;
+  }
+
+  const version = comparison.replace(/^(>=|>|==|=|\^|~)/, '').replace(/(\.[*x])+$/i, '');
+  return parseVersion(version) ? version : null;
+}
+
+/**
+ * Rewrite the hyphen ranges of a constraint alternative as two comparisons
+ * ("7.4 - 8.2" becomes ">=7.4 <=8.2"), so that splitting it on spaces keeps their meaning
+ * @param {string} alternative - The constraint alternative
+ * @returns {string} - The alternative without hyphen ranges
+ */
+function expandHyphenRanges(alternative) {
+  return alternative.replace(/(\S+)\s+-\s+(\S+)/g, '>=$1 <=$2');
+}
+
+/**
+ * Get the lowest version a constraint accepts, such as the minimum PHP
+ * version a "require" entry asks for (">=7.2.5 <8.0 || ^8.0" gives "7.2.5")
+ * @param {string} constraint - The constraint
+ * @returns {string|null} - The lowest accepted version, or null if unbounded below
+ */
+function getLowerBound(constraint) {
+  if (typeof constraint !== 'string') {
+    return null;
+  }
+
+  let lowest = null;
+
+  for (const alternative of constraint.split(/\s*\|\|?\s*/)) {
+    const comparisons = expandHyphenRanges(alternative)
+      .replace(/(>=|<=|==|!=|<>|>|<|=|\^|~)\s+/g, '$1')
+      .split(/[\s,]+/)
+      .filter(Boolean);
+
+    // Every comparison of an alternative must hold, so its bound is the highest one
+    let bound = null;
+    for (const comparison of comparisons) {
+      const comparisonBound = getComparisonLowerBound(comparison);
+      if (comparisonBound && (!bound || compareVersions(comparisonBound, bound) > 0)) {
+        bound = comparisonBound;
+      }
+    }
+
+    // Any alternative may be picked, so an unbounded one makes the whole constraint unbounded
+    if (!bound) {
+      return null;
+    }
+
+    if (!lowest || compareVersions(bound, lowest) < 0) {
+      lowest = bound;
+    }
+  }
+
+  return lowest;
+}
+
+/**
+ * Classify the update of a package between two versions
+ *
+ * Like Composer's caret operator, the first non-zero part is treated as the
+ * major one, so 0.3.1 → 0.4.0 is a major bump.
+ *
+ * @param {string|null} previousVersion - The previous version
+ * @param {string|null} newVersion - The new version
+ * @returns {ChangeType|null} - The kind of update, or null if the version did not change or is unknown
+ */
+function classifyUpdate(previousVersion, newVersion) {
+  if (!previousVersion || !newVersion || previousVersion === newVersion) {
+    return null;
+  }
+
+  if (isDevVersion(previousVersion) || isDevVersion(newVersion)) {
+    return 'dev-change';
+  }
+
+  const previous = parseVersion(previousVersion);
+  const next = parseVersion(newVersion);
+  if (!previous || !next) {
+    return null;
+  }
+
+  const comparison = compareParsedVersions(previous, next);
+  if (comparison > 0) {
+    return 'downgrade';
+  }
+
+  const changedIndex = previous.numbers.findIndex((number, index) => number !== next.numbers[index]);
+  if (changedIndex === -1) {
+    // Only the stability changed (e.g. 2.0.0-RC1 → 2.0.0)
+    return comparison === 0 ? null : 'patch';
+  }
+
+  const firstNonZeroIndex = previous.numbers.findIndex(number => number !== 0);
+  const majorIndex = firstNonZeroIndex === -1 ? previous.numbers.length - 1 : Math.min(firstNonZeroIndex, 2);
+
+  if (changedIndex <= majorIndex) {
+    return 'major';
+  }
+
+  return changedIndex === 1 ? 'minor' : 'patch';
+}
+
+/**
+ * Get the sort rank of a change type, most important first
+ * @param {ChangeType|null} changeType - The change type
+ * @returns {number} - The sort rank
+ */
+function getChangeTypeRank(changeType) {
+  return changeType in CHANGE_TYPE_RANK ? CHANGE_TYPE_RANK[changeType] : Object.keys(CHANGE_TYPE_RANK).length;
+}
+
+export default {
+  isDevVersion,
+  parseVersion,
+  compareVersions,
+  satisfiesRange,
+  getLowerBound,
+  classifyUpdate,
+  getChangeTypeRank
+};
@@ -0,0 +1,240 @@
+/**
+ * Diff cache module for the Composer Diff extension.
+ * Keeps the computed composer diffs in extension storage, so that showing the
+ * same pair of commits again does not fetch and parse the lock files.
+ */
+
+import logger from './logger.js';
+
+// Prefix of the storage keys, bumped when the shape of the cached diffs changes
+const CACHE_KEY_PREFIX = 'composer-diff-cache:v2:';
+
+// Storage key of the index holding when each entry was last used
+const CACHE_INDEX_KEY = 'composer-diff-cache-index';
+
+// Number of diffs kept, the least recently used ones are evicted first
+const MAX_CACHE_ENTRIES = 30;
+
+// Age after which a diff is computed again, as the advisory database may have been updated
+const MAX_CACHE_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} DiffIdentity
+ * @property {string} host - The host of the GitLab instance
+ * @property {string} projectId - The GitLab project ID
+ * @property {string} oldPath - Path of the composer.lock at the base commit
+ * @property {string} newPath - Path of the composer.lock at the head commit
+ * @property {string} baseSha - The base commit
+ * @property {string} headSha - The head commit
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {Object} diff - The computed diff
+ * @property {number} createdAt - When the diff was computed
+ */
+
+/**
+ * @typedef {Object} IndexEntry
+ * @property {number} usedAt - When the diff was last used
+ * @property {number} createdAt - When the diff was computed
+ */
+
+// Storage updates run one after the other so that concurrent diffs do not lose index entries
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Hash a string into a short key part
+ * @param {string} value - The string to hash
+ * @returns {string} - The hash
+ */
+function hashString(value) {
+  let hash = 5381;
+  for (let index = 0; index < value.length; index++) {
+    hash = ((hash * 33) ^ value.charCodeAt(index)) >>> 0;
+  }
+
+  return hash.toString(36);
+}
+
+/**
+ * Get the storage key of a diff
+ *
+ * The merge request is not part of the key, so that another merge request
+ * comparing the same commits reuses the diff. The settings changing the diff
+ * content are, so that changing them computes it again.
+ *
+ * @param {DiffIdentity} identity - What the diff compares
+ * @param {Object} diffSettings - The settings the diff depends on
+ * @returns {string} - The storage key
+ */
+function getCacheKey(identity, diffSettings) {
+  const { host, projectId, oldPath, newPath, baseSha, headSha } = identity;
+  return `${CACHE_KEY_PREFIX}${host}:${projectId}:${oldPath}:${newPath}:${baseSha}:${headSha}:${hashString(JSON.stringify(diffSettings))}`;
+}
+
+/**
+ * Run a storage update after the previous ones
+ * @param {Function} update - Async function updating the storage
+ * @returns {Promise<*>} - The result of the update
+ */
+function queueUpdate(update) {
+  const result = pendingUpdate.then(update);
+  pendingUpdate = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Read the cache index
+ *
+ * Entries indexed by an earlier version with their last use only are read as
+ * expired, so that they are purged.
+ *
+ * @returns {Promise<Record<string, IndexEntry>>} - When each entry was last used and computed, by storage key
+ */
+async function readIndex() {
+  const data = await chrome.storage.local.get(CACHE_INDEX_KEY);
+  const index = data[CACHE_INDEX_KEY] || {};
+
+  for (const [key, entry] of Object.entries(index)) {
+    if (typeof entry === 'number') {
+      index[key] = { usedAt: entry, createdAt: 0 };
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Check if a cached diff is too old to be used
+ * @param {CacheEntry|IndexEntry} entry - The cache or index entry
+ * @returns {boolean} - Whether the diff has expired
+ */
+function isExpired(entry) {
+  return Date.now() - entry.createdAt > MAX_CACHE_AGE;
+}
+
+/**
+ * Check if a storage error comes from the storage quota
+ * @param {Error} error - The error
+ * @returns {boolean} - Whether the storage is full
+ */
+function isQuotaError(error) {
+  return /quota/i.test(error?.message || '');
+}
+
+/**
+ * Remove entries from the cache
+ * @param {Record<string, IndexEntry>} index - The cache index, updated in place
+ * @param {string[]} keys - The storage keys of the entries
+ * @returns {Promise<void>} - Resolves once the entries are removed
+ */
+async function removeEntries(index, keys) {
+  keys.forEach(key => delete index[key]);
+  await chrome.storage.local.remove(keys);
+}
+
+/**
+ * Get a cached diff
+ * @param {string} key - The storage key
+ * @returns {Promise<Object|null>} - The diff, or null if it is not cached or too old
+ */
+async function getCachedDiff(key) {
+  try {
+    const data = await chrome.storage.local.get(key);
+    const entry = /** @type {CacheEntry|undefined} */ (data[key]);
+
+    if (!entry) {
+      logger.debug(`No cached diff for ${key}`);
+      return null;
+    }
+
+    if (isExpired(entry)) {
+      logger.debug(`Cached diff for ${key} has expired`);
+
+      queueUpdate(async () => {
+        const index = await readIndex();
+        await removeEntries(index, [key]);
+        await chrome.storage.local.set({ [CACHE_INDEX_KEY]: index });
+      }).catch(error => logger.warn('Could not remove the expired diff from the cache', error));
+
+      return null;
+    }
+
+    // Mark the entry as recently used
+    queueUpdate(async () => {
+      const index = await readIndex();
+      if (key in index) {
+        index[key].usedAt = Date.now();
+        await chrome.storage.local.set({ [CACHE_INDEX_KEY]: index });
+      }
+    }).catch(error => logger.warn('Could not update the diff cache index', error));
+
+    logger.info(`Using cached diff for ${key}`);
+    return entry.diff;
+  } catch (error) {
+    logger.warn('Could not read the diff cache', error);
+    return null;
+  }
+}
+
+/**
+ * Cache a diff
+ *
+ * Expired diffs are purged and the least recently used ones are evicted beyond
+ * the cache size, then for as long as the storage quota refuses the new diff.
+ *
+ * @param {string} key - The storage key
+ * @param {Object} diff - The diff
+ * @returns {Promise<void>} - Resolves once the diff is stored
+ */
+function storeDiff(key, diff) {
+  return queueUpdate(async () => {
+    const now = Date.now();
+    const index = await readIndex();
+    delete index[key];
+
+    const expiredKeys = Object.keys(index).filter(indexedKey => isExpired(index[indexedKey]));
+    if (expiredKeys.length > 0) {
+      logger.debug(`Purging ${expiredKeys.length} expired cached diffs`);
+      await removeEntries(index, expiredKeys);
+    }
+
+    // Least recently used first
+    const evictableKeys = Object.keys(index).sort((a, b) => index[a].usedAt - index[b].usedAt);
+
+    const evictedKeys = evictableKeys.splice(0, Math.max(0, evictableKeys.length + 1 - MAX_CACHE_ENTRIES));
+    if (evictedKeys.length > 0) {
+      logger.debug(`Evicting ${evictedKeys.length} cached diffs`);
+      await removeEntries(index, evictedKeys);
+    }
+
+    /** @type {CacheEntry} */
+    const entry = { diff, createdAt: now };
+
+    for (;;) {
+      try {
+        await chrome.storage.local.set({ [key]: entry, [CACHE_INDEX_KEY]: { ...index, [key]: { usedAt: now, createdAt: now } } });
+        return;
+      } catch (error) {
+        if (!isQuotaError(error) || evictableKeys.length === 0) {
+          // Keep the index in line with the entries purged and evicted so far
+          await chrome.storage.local.set({ [CACHE_INDEX_KEY]: index });
+          throw error;
+        }
+
+        logger.debug('Storage is full, evicting the least recently used cached diff');
+        await removeEntries(index, [evictableKeys.shift()]);
+      }
+    }
+  }).catch(error => {
+    // A diff too large for the storage only costs the next visit a recomputation
+    logger.warn('Could not store the diff in the cache', error);
+  });
+}
+
+export default {
+  getCacheKey,
+  getCachedDiff,
+  storeDiff
+};
@@ -0,0 +1,155 @@
+/**
+ * Diff worker module for the Composer Diff extension.
+ * Fetches, parses and diffs composer.lock files in the background service worker,
+ * so that large lock files neither block the GitLab page nor cross it, and caches the results.
+ */
+
+import logger from './logger.js';
+import composerDiff from './composer-diff.js';
+import diffCache from './diff-cache.js';
+import gitlabProxy from './gitlab-proxy.js';
+import licensePolicy from './license-policy.js';
+import messaging from './messaging.js';
+import securityAdvisories from './security-advisories.js';
+import settings from './settings.js';
+
+// Actions of the messages handled by the worker
+const ACTIONS = {
+  getCachedDiff: 'getCachedComposerDiff',
+  computeDiff: 'computeComposerDiff'
+};
+
+/**
+ * @typedef {Object} DiffRequest
+ * @property {string} action - The action, one of ACTIONS
+ * @property {import('./diff-cache.js').DiffIdentity} identity - What the diff compares
+ */
+
+/**
+ * Get the path of the composer.json a composer.lock belongs to
+ * @param {string} lockPath - The repository path of the composer.lock file
+ * @returns {string} - The repository path of the composer.json file
+ */
+function toComposerJsonPath(lockPath) {
+  return lockPath.replace(/composer\.lock$/, 'composer.json');
+}
+
+/**
+ * Fetch a file at the base and head commits of a diff, through the GitLab proxy
+ * @param {import('./diff-cache.js').DiffIdentity} identity - What the diff compares
+ * @param {string} oldPath - Path of the file at the base commit
+ * @param {string} newPath - Path of the file at the head commit
+ * @param {string} origin - The origin of the GitLab instance
+ * @returns {Promise<Object>} - Object containing oldContent and newContent
+ */
+async function fetchFilePairContent(identity, oldPath, newPath, origin) {
+  const fetchFileContent = async (filePath, ref) => {
+    const response = await gitlabProxy.handleRequest({
+      action: gitlabProxy.ACTIONS.getFileContent,
+      projectId: identity.projectId,
+      filePath,
+      ref
+    }, origin);
+
+    return response.value;
+  };
+
+  logger.info(`Fetching ${newPath} content at ${identity.baseSha} and ${identity.headSha}`);
+
+  const [oldContent, newContent] = await Promise.all([
+    fetchFileContent(oldPath, identity.baseSha),
+    fetchFileContent(newPath, identity.headSha)
+  ]);
+
+  // A file created or deleted in the compared range only exists on one side
+  return {
+    oldContent: oldContent ?? '{}',
+    newContent: newContent ?? '{}'
+  };
+}
+
+/**
+ * Get the settings the diff content depends on
+ * @param {string} host - The host of the GitLab instance
+ * @returns {Promise<Object>} - The advisory database URL and license policy
+ */
+async function loadDiffSettings(host) {
+  const { advisoryUrl, licenseAllowlist, licenseDenylist } = await settings.loadSettings(host);
+  return { advisoryUrl, licenseAllowlist, licenseDenylist };
+}
+
+/**
+ * Fetch both versions of a composer.lock, compute their diff and cache it
+ * @param {import('./diff-cache.js').DiffIdentity} identity - What the diff compares
+ * @param {Object} diffSettings - The settings the diff depends on
+ * @param {string} origin - The origin of the GitLab instance
+ * @returns {Promise<Object>} - The diff
+ */
+async function computeDiff(identity, diffSettings, origin) {
+  const { oldPath, newPath } = identity;
+
+  // composer.json tells direct dependencies apart, the diff is still useful without it
+  const [lockContent, manifestContent, advisories] = await Promise.all([
+    fetchFilePairContent(identity, oldPath, newPath, origin),
+    fetchFilePairContent(identity, toComposerJsonPath(oldPath), toComposerJsonPath(newPath), origin).catch(error => {
+      logger.warn(`Could not fetch the composer.json of ${newPath}`, error);
+      return { oldContent: '{}', newContent: '{}' };
+    }),
+    securityAdvisories.loadAdvisoryDatabase(diffSettings.advisoryUrl)
+  ]);
+
+  const options = {
+    oldManifest: manifestContent.oldContent,
+    newManifest: manifestContent.newContent,
+    advisories,
+    licensePolicy: {
+      allow: licensePolicy.parseLicenseList(diffSettings.licenseAllowlist),
+      deny: licensePolicy.parseLicenseList(diffSettings.licenseDenylist)
+    }
+  };
+
+  const diff = composerDiff.generateDiff(lockContent.oldContent, lockContent.newContent, options);
+  await diffCache.storeDiff(diffCache.getCacheKey(identity, diffSettings), diff);
+
+  return diff;
+}
+
+/**
+ * Handle a diff request, from a content script message or directly when messaging is unavailable
+ * @param {DiffRequest} request - The request
+ * @param {string} origin - The origin of the GitLab instance the request is for
+ * @returns {Promise<{diff: Object|null}>} - The diff, null if it is not cached
+ */
+async function handleRequest(request, origin) {
+  // Diffs are cached and fetched for the instance the request comes from, never one named in it
+  const identity = { ...request.identity, host: new URL(origin).host };
+  const diffSettings = await loadDiffSettings(identity.host);
+
+  if (request.action === ACTIONS.getCachedDiff) {
+    return { diff: await diffCache.getCachedDiff(diffCache.getCacheKey(identity, diffSettings)) };
+  }
+
+  logger.info(`Computing diff of ${identity.newPath}`);
+  return { diff: await computeDiff(identity, diffSettings, origin) };
+}
+
+/**
+ * Answer the diff requests of the content scripts
+ * @param {Object} message - The message
+ * @param {Object} sender - The sender of the message
+ * @param {Function} sendResponse - Function to send a response
+ * @returns {boolean} - Whether the response is sent asynchronously
+ */
+function handleMessage(message, sender, sendResponse) {
+  if (!Object.values(ACTIONS).includes(message?.action)) {
+    return false;
+  }
+
+  return messaging.respondAsync(handleRequest(message, new URL(sender.url).origin), sendResponse, message.action);
+}
+
+export default {
+  ACTIONS,
+  handleRequest,
+  handleMessage
+};
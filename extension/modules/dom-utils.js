@@ -4,6 +4,10 @@
  */
 
 import logger from './logger.js';
+import sanitize from './sanitize.js';
+
+// Attributes holding a URL, checked before they are set
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction'];
 
 /**
  * Find an element in the DOM using multiple selectors
@@ -110,9 +114,15 @@ function findElementContainingText(text, selectors = ['*'], parent = document) {
  * @param {Function} callback - Function to call when changes are detected
  * @param {number|null} [timeout=null] - Optional timeout to stop observing
  * @param {boolean} [keepObserving=false] - Whether to keep observing after callback
+ * @param {Node} [target=document.body] - Node to observe
+ * @param {MutationObserverInit} [options] - Changes to observe, by default children, descendants and attributes
  * @returns {MutationObserver} - The created observer
  */
-function createObserver(callback, timeout = null, keepObserving = false) {
+function createObserver(callback, timeout = null, keepObserving = false, target = document.body, options = {
+  childList: true,
+  subtree: true,
+  attributes: true
+}) {
   // Create the observer
   const observer = new MutationObserver((mutations, obs) => {
     try {
@@ -126,11 +136,7 @@ function createObserver(callback, timeout = null, keepObserving = false) {
   });
 
   // Configure and start the observation
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true,
-    attributes: true
-  });
+  observer.observe(target, options);
 
   // Add an optional timeout
   if (timeout) {
@@ -180,10 +186,105 @@ function safeInsertElement(element, parent, method = 'prepend') {
   }
 }
 
+/**
+ * Create an element from text and nodes, never parsing markup
+ *
+ * Strings are inserted as text nodes, URL attributes only accept http and
+ * https URLs, and event handler attributes are refused, so values read from
+ * a lock file can be passed as they are.
+ *
+ * @param {string} tagName - The tag of the element
+ * @param {Object} [attributes={}] - The attributes; className takes a string or a list, dataset an object
+ * @param {Array|Node|string|null} [children=[]] - The children, nested lists are flattened and empty values skipped
+ * @returns {Element} - The created element
+ */
+function createElement(tagName, attributes = {}, children = []) {
+  const element = document.createElement(tagName);
+
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value === null || value === undefined || value === false) {
+      continue;
+    }
+
+    if (name === 'className') {
+      element.className = [value].flat().filter(Boolean).join(' ');
+    } else if (name === 'dataset') {
+      Object.entries(value)
+        .filter(([, dataValue]) => dataValue !== null && dataValue !== undefined && dataValue !== '')
+        .forEach(([key, dataValue]) => {
+          element.dataset[key] = dataValue;
+        });
+    } else if (/^on/i.test(name)) {
+      logger.warn(`Refusing event handler attribute ${name}`);
+    } else if (URL_ATTRIBUTES.includes(name.toLowerCase())) {
+      const url = sanitize.sanitizeUrl(value);
+      if (url) {
+        element.setAttribute(name, url);
+      }
+    } else {
+      element.setAttribute(name, value === true ? '' : String(value));
+    }
+  }
+
+  [children].flat(Infinity).forEach(child => {
+    if (child === null || child === undefined || child === false || child === '') {
+      return;
+    }
+
+    element.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+  });
+
+  return element;
+}
+
+/**
+ * Append nodes to a parent in batches, one batch per animation frame, so that
+ * long lists do not block the page
+ *
+ * The first batch is appended right away, so that short lists are complete on return.
+ *
+ * @param {Node} parent - The parent to append to
+ * @param {Array} items - The items to create nodes for
+ * @param {Function} createNode - Function creating the node of an item
+ * @param {number} batchSize - Number of nodes appended per batch
+ * @returns {Promise<void>} - Resolves once every node is appended
+ */
+function appendInBatches(parent, items, createNode, batchSize) {
+  const appendBatch = start => {
+    const fragment = document.createDocumentFragment();
+    items.slice(start, start + batchSize).forEach(item => fragment.appendChild(createNode(item)));
+    parent.appendChild(fragment);
+
+    return start + batchSize;
+  };
+
+  let next = appendBatch(0);
+  if (next >= items.length) {
+    return Promise.resolve();
+  }
+
+  logger.debug(`Appending ${items.length} nodes in batches of ${batchSize}`);
+
+  return new Promise(resolve => {
+    const appendNextBatch = () => {
+      next = appendBatch(next);
+      if (next >= items.length) {
+        resolve();
+      } else {
+        requestAnimationFrame(appendNextBatch);
+      }
+    };
+
+    requestAnimationFrame(appendNextBatch);
+  });
+}
+
 export default {
   findElement,
   findAllElements,
   findElementContainingText,
   createObserver,
-  safeInsertElement
+  safeInsertElement,
+  createElement,
+  appendInBatches
 };
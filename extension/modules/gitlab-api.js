@@ -4,6 +4,57 @@
  */
 
 import logger from './logger.js';
+import gitlabProxy from './gitlab-proxy.js';
+import messaging from './messaging.js';
+
+/**
+ * Check if a repository path points to a composer.lock file
+ * @param {string|null} path - The repository path
+ * @returns {boolean} - Whether the path is a composer.lock file
+ */
+function isComposerLockPath(path) {
+  return !!path && (path === 'composer.lock' || path.endsWith('/composer.lock'));
+}
+
+// Pattern of merge request URLs, with or without the "/-/" scope of recent GitLab versions
+const MERGE_REQUEST_URL_PATTERN = /^\/(.+?)(?:\/-)?\/merge_requests\/(\d+)(?:\/|$)/;
+
+// Result of the GitLab instance check, which cannot change without a full reload
+let gitLabInstanceCheck = null;
+
+/**
+ * @typedef {Object} DiffRefs
+ * @property {string} base_sha - Merge base of the source and target branches
+ * @property {string} head_sha - Head commit of the source branch
+ * @property {string} start_sha - Head commit of the target branch when the diff was created
+ */
+
+/**
+ * @typedef {Object} ComposerLockChange
+ * @property {string} oldPath - Path of the file before the merge request
+ * @property {string} newPath - Path of the file after the merge request
+ */
+
+/**
+ * @typedef {Object} DiffVersionSelection
+ * @property {string|null} diffId - ID of the merge request diff version to show
+ * @property {string|null} startSha - Head commit of the older version to compare against
+ */
+
+/**
+ * Read from the GitLab API through the background service worker, which shares
+ * requests and responses between the tabs open on the same merge request
+ * @param {import('./gitlab-proxy.js').ProxyRequest} request - The request
+ * @returns {Promise<*>} - The parsed response
+ */
+async function requestThroughProxy(request) {
+  const response = await messaging.sendToBackground(
+    request,
+    localRequest => gitlabProxy.handleRequest(localRequest, window.location.origin)
+  );
+
+  return response.value;
+}
 
 /**
  * GitLab API client
@@ -20,6 +71,9 @@ class GitLabApi {
     this.mergeRequestId = null;
     this.sourceBranch = null;
     this.targetBranch = null;
+    /** @type {DiffRefs|null} */
+    this.diffRefs = null;
+    this.currentUserId = null;
   }
 
   /**
@@ -44,6 +98,16 @@ class GitLabApi {
     return this;
   }
 
+  /**
+   * Set the commits the merge request diff is computed between
+   * @param {DiffRefs} diffRefs - The merge request diff refs
+   * @returns {GitLabApi} - The GitLab API client (for chaining)
+   */
+  setDiffRefs(diffRefs) {
+    this.diffRefs = diffRefs;
+    return this;
+  }
+
   /**
    * Load merge request changes from the GitLab API
    * @returns {Promise<Object>} - The merge request changes
@@ -53,16 +117,14 @@ class GitLabApi {
       throw new Error('Project ID and merge request ID are required');
     }
 
-    const changesUrl = `/api/v4/projects/${this.projectId}/merge_requests/${this.mergeRequestId}/changes`;
-    logger.info('Fetching merge request changes', changesUrl);
+    logger.info(`Fetching changes of merge request ${this.mergeRequestId}`);
 
     try {
-      const response = await fetch(changesUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch changes: ${response.status} ${response.statusText}`);
-      }
-
-      const changes = await response.json();
+      const changes = await requestThroughProxy({
+        action: gitlabProxy.ACTIONS.getMergeRequestChanges,
+        projectId: this.projectId,
+        mergeRequestId: this.mergeRequestId
+      });
       logger.debug('Received merge request changes', changes);
 
       // Update branches if they're in the response
@@ -74,6 +136,10 @@ class GitLabApi {
         this.targetBranch = changes.target_branch;
       }
 
+      if (changes.diff_refs) {
+        this.diffRefs = changes.diff_refs;
+      }
+
       return changes;
     } catch (error) {
       logger.error('Error loading merge request changes', error);
@@ -82,91 +148,222 @@ class GitLabApi {
   }
 
   /**
-   * Check if composer.lock file is present in the merge request changes
-   * @param {Object} changes - The merge request changes
-   * @returns {boolean} - Whether composer.lock is present
+   * Load the diff versions of the merge request from the GitLab API
+   * @returns {Promise<Object[]>} - The merge request diff versions, newest first
    */
-  hasComposerLock(changes) {
-    logger.info('Checking for composer.lock file in changes');
+  async loadMergeRequestVersions() {
+    if (!this.projectId || !this.mergeRequestId) {
+      throw new Error('Project ID and merge request ID are required');
+    }
 
-    if (!changes || !changes.changes) {
-      logger.warn('No changes found in the merge request');
-      return false;
+    logger.info(`Fetching versions of merge request ${this.mergeRequestId}`);
+
+    try {
+      const versions = await requestThroughProxy({
+        action: gitlabProxy.ACTIONS.getMergeRequestVersions,
+        projectId: this.projectId,
+        mergeRequestId: this.mergeRequestId
+      });
+      logger.debug('Received merge request versions', versions);
+
+      return versions;
+    } catch (error) {
+      logger.error('Error loading merge request versions', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Point the diff refs at the merge request versions selected by the reviewer
+   * @param {DiffVersionSelection} selection - The selected diff versions
+   * @returns {Promise<GitLabApi>} - The GitLab API client (for chaining)
+   */
+  async selectDiffVersion(selection) {
+    if (!selection.diffId && !selection.startSha) {
+      logger.debug('No diff version selected, keeping the whole merge request diff');
+      return this;
     }
 
-    for (const change of changes.changes) {
-      if (change.new_path.includes('composer.lock') || change.old_path.includes('composer.lock')) {
-        logger.info('Found composer.lock in changes');
-        return true;
+    let versions;
+    try {
+      versions = await this.loadMergeRequestVersions();
+    } catch (error) {
+      logger.warn('Could not load diff versions, keeping the whole merge request diff', error);
+      return this;
+    }
+
+    // Without an explicit diff ID, GitLab shows the latest version
+    const version = selection.diffId
+      ? versions.find(candidate => String(candidate.id) === String(selection.diffId))
+      : versions[0];
+
+    if (!version) {
+      logger.warn('Selected diff version not found, keeping the whole merge request diff', selection);
+      return this;
+    }
+
+    // Comparing against an older version starts from that version's head instead of the merge base
+    this.diffRefs = {
+      base_sha: selection.startSha || version.base_commit_sha,
+      head_sha: version.head_commit_sha,
+      start_sha: selection.startSha || version.start_commit_sha
+    };
+
+    logger.info('Using selected diff version', this.diffRefs);
+
+    return this;
+  }
+
+  /**
+   * Send a JSON write request to the GitLab API, authenticated with the page's CSRF token
+   * @param {string} method - The HTTP method
+   * @param {string} url - The API URL
+   * @param {Object} payload - The request body
+   * @returns {Promise<Response>} - The response
+   */
+  async sendJson(method, url, payload) {
+    const csrfToken = GitLabApi.getCsrfToken();
+    if (!csrfToken) {
+      throw new Error('Could not find the CSRF token in the page');
+    }
+
+    return fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken
+      },
+      body: JSON.stringify(payload)
+    });
+  }
+
+  /**
+   * Load every note of the merge request from the GitLab API
+   * @returns {Promise<Object[]>} - The merge request notes
+   */
+  async loadMergeRequestNotes() {
+    if (!this.projectId || !this.mergeRequestId) {
+      throw new Error('Project ID and merge request ID are required');
+    }
+
+    const notesUrl = `/api/v4/projects/${this.projectId}/merge_requests/${this.mergeRequestId}/notes`;
+    logger.info('Fetching merge request notes', notesUrl);
+
+    let notes = [];
+    let page = '1';
+
+    // Notes are paginated, follow the pages GitLab announces
+    while (page) {
+      const response = await fetch(`${notesUrl}?per_page=100&page=${page}`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch notes: ${response.status} ${response.statusText}`);
       }
+
+      notes = notes.concat(await response.json());
+      page = response.headers.get('x-next-page');
     }
 
-    logger.info('No composer.lock file found in changes');
-    return false;
+    logger.debug(`Received ${notes.length} merge request notes`);
+
+    return notes;
   }
 
   /**
-   * Fetch the content of composer.lock from source and target branches
-   * @returns {Promise<Object>} - Object containing oldContent and newContent
+   * Load the ID of the signed-in user from the GitLab API
+   * @returns {Promise<number>} - The user ID
    */
-  async fetchComposerLockContent() {
-    if (!this.projectPath || !this.sourceBranch || !this.targetBranch) {
-      throw new Error('Project path, source branch, and target branch are required');
+  async loadCurrentUserId() {
+    if (this.currentUserId === null) {
+      const response = await fetch('/api/v4/user');
+      if (!response.ok) {
+        throw new Error(`Failed to fetch the current user: ${response.status} ${response.statusText}`);
+      }
+
+      this.currentUserId = (await response.json()).id;
     }
 
-    logger.info('Fetching composer.lock content from source and target branches');
+    return this.currentUserId;
+  }
 
-    try {
-      // Construct the URLs for the raw files
-      const sourceFileUrl = `/${this.projectPath}/-/raw/${this.sourceBranch}/composer.lock`;
-      const targetFileUrl = `/${this.projectPath}/-/raw/${this.targetBranch}/composer.lock`;
-
-      logger.debug('Source file URL', sourceFileUrl);
-      logger.debug('Target file URL', targetFileUrl);
-
-      // Fetch both files in parallel
-      const [sourceResponse, targetResponse] = await Promise.all([
-        fetch(sourceFileUrl),
-        fetch(targetFileUrl)
-      ]);
-
-      // Check if both requests were successful
-      if (sourceResponse.ok && targetResponse.ok) {
-        const sourceContent = await sourceResponse.text();
-        const targetContent = await targetResponse.text();
-
-        logger.info('Successfully fetched composer.lock files');
-
-        return {
-          oldContent: targetContent, // Target branch is the "old" content (base branch)
-          newContent: sourceContent  // Source branch is the "new" content (feature branch)
-        };
-      } else {
-        logger.warn('Failed to fetch complete files');
-
-        if (!sourceResponse.ok) {
-          logger.error('Source file fetch failed', sourceResponse.status);
-        }
+  /**
+   * Create a note on the merge request, or update the one carrying the same marker
+   *
+   * Only notes of the signed-in user are updated, as GitLab refuses edits to
+   * the notes of other reviewers; theirs stay as they are.
+   *
+   * @param {string} marker - Hidden text identifying the note across updates
+   * @param {string} body - The note body, which must contain the marker
+   * @returns {Promise<'created'|'updated'>} - What happened to the note
+   */
+  async upsertMergeRequestNote(marker, body) {
+    const notesUrl = `/api/v4/projects/${this.projectId}/merge_requests/${this.mergeRequestId}/notes`;
 
-        if (!targetResponse.ok) {
-          logger.error('Target file fetch failed', targetResponse.status);
-        }
+    const [notes, currentUserId] = await Promise.all([this.loadMergeRequestNotes(), this.loadCurrentUserId()]);
+    const existingNote = notes.find(note =>
+      !note.system && note.author?.id === currentUserId && note.body?.includes(marker)
+    );
+
+    if (existingNote) {
+      logger.info(`Updating merge request note ${existingNote.id}`);
 
-        // Return empty objects as fallback
-        return {
-          oldContent: '{}',
-          newContent: '{}'
-        };
+      const response = await this.sendJson('PUT', `${notesUrl}/${existingNote.id}`, { body });
+      if (response.ok) {
+        return 'updated';
       }
-    } catch (error) {
-      logger.error('Error fetching composer.lock content', error);
 
-      // Return empty objects as fallback
-      return {
-        oldContent: '{}',
-        newContent: '{}'
-      };
+      // The note may have been deleted in the meantime, post a fresh one
+      logger.warn(`Could not update note ${existingNote.id}, creating a new one`, response.status);
     }
+
+    logger.info('Creating merge request note');
+
+    const response = await this.sendJson('POST', notesUrl, { body });
+    if (!response.ok) {
+      throw new Error(`Failed to create note: ${response.status} ${response.statusText}`);
+    }
+
+    return 'created';
+  }
+
+  /**
+   * Collect every composer.lock file touched by the merge request changes
+   * @param {Object} changes - The merge request changes
+   * @returns {ComposerLockChange[]} - The changed composer.lock files
+   */
+  getComposerLockChanges(changes) {
+    logger.info('Collecting composer.lock files from changes');
+
+    if (!changes || !changes.changes) {
+      logger.warn('No changes found in the merge request');
+      return [];
+    }
+
+    const lockChanges = changes.changes
+      .filter(change => isComposerLockPath(change.new_path) || isComposerLockPath(change.old_path))
+      .map(change => ({
+        oldPath: change.old_path,
+        newPath: change.new_path
+      }));
+
+    logger.debug('Found composer.lock files in changes', lockChanges.map(change => change.newPath));
+
+    return lockChanges;
+  }
+
+  /**
+   * Get the commits the merge request diff compares
+   * @returns {{baseSha: string, headSha: string}} - The base and head commits
+   */
+  getComparedShas() {
+    if (!this.diffRefs) {
+      throw new Error('Merge request diff refs are required');
+    }
+
+    // Older merge requests may lack a merge base, the target head is the closest match
+    return {
+      baseSha: this.diffRefs.base_sha || this.diffRefs.start_sha,
+      headSha: this.diffRefs.head_sha
+    };
   }
 
   /**
@@ -184,7 +381,10 @@ class GitLabApi {
 
     const projectPath = bodyElement.getAttribute('data-project-full-path');
     const projectId = bodyElement.getAttribute('data-project-id');
-    const mergeRequestId = bodyElement.getAttribute('data-page-type-id');
+
+    // The body attributes keep the first merge request when GitLab navigates without a reload
+    const mergeRequestId = GitLabApi.extractMergeRequestFromUrl().mergeRequestId ||
+      bodyElement.getAttribute('data-page-type-id');
 
     logger.debug('Extracted project information', { projectPath, projectId, mergeRequestId });
 
@@ -195,6 +395,62 @@ class GitLabApi {
     };
   }
 
+  /**
+   * Extract the merge request shown in the page URL
+   * @returns {{projectPath: string|null, mergeRequestId: string|null}} - The project path and merge request IID
+   */
+  static extractMergeRequestFromUrl() {
+    const match = window.location.pathname.match(MERGE_REQUEST_URL_PATTERN);
+
+    return {
+      projectPath: match ? match[1] : null,
+      mergeRequestId: match ? match[2] : null
+    };
+  }
+
+  /**
+   * Get the CSRF token GitLab embeds in the page
+   * @returns {string|null} - The CSRF token or null if not found
+   */
+  static getCsrfToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]');
+    return meta ? meta.getAttribute('content') : null;
+  }
+
+  /**
+   * Extract the diff versions selected in the page URL
+   * @returns {DiffVersionSelection} - The selected diff versions
+   */
+  static extractDiffVersionFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+
+    return {
+      diffId: params.get('diff_id'),
+      startSha: params.get('start_sha')
+    };
+  }
+
+  /**
+   * Get the URL of the Changes tab of the merge request shown in the page
+   * @returns {string|null} - The Changes tab URL, or null if not on a merge request
+   */
+  static getMergeRequestChangesUrl() {
+    const match = window.location.pathname.match(MERGE_REQUEST_URL_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    return `${window.location.origin}${match[0].replace(/\/$/, '')}/diffs`;
+  }
+
+  /**
+   * Check if the current page is a GitLab merge request page, on any tab
+   * @returns {boolean} - Whether the current page is a GitLab merge request page
+   */
+  static isGitLabMergeRequestPage() {
+    return GitLabApi.extractMergeRequestFromUrl().mergeRequestId !== null;
+  }
+
   /**
    * Check if the current page is a GitLab merge request diff page
    * @returns {boolean} - Whether the current page is a GitLab merge request diff page
@@ -208,19 +464,25 @@ class GitLabApi {
    * Check if the current page is a GitLab instance
    * @returns {Promise<boolean>} - Whether the current page is a GitLab instance
    */
-  static async isGitLabInstance() {
-    try {
-      const response = await fetch('/-/manifest.json');
-      if (!response.ok) {
-        return false;
-      }
-
-      const manifest = await response.json();
-      return manifest.name === 'GitLab';
-    } catch (error) {
-      logger.error('Error checking if page is GitLab instance', error);
-      return false;
+  static isGitLabInstance() {
+    if (!gitLabInstanceCheck) {
+      gitLabInstanceCheck = (async () => {
+        try {
+          const response = await fetch('/-/manifest.json');
+          if (!response.ok) {
+            return false;
+          }
+
+          const manifest = await response.json();
+          return manifest.name === 'GitLab';
+        } catch (error) {
+          logger.error('Error checking if page is GitLab instance', error);
+          return false;
+        }
+      })();
     }
+
+    return gitLabInstanceCheck;
   }
 }
 
@@ -0,0 +1,264 @@
+/**
+ * GitLab proxy module for the Composer Diff extension.
+ * Runs the GitLab API reads of every tab in the background service worker, so
+ * that tabs open on the same merge request share requests and responses.
+ *
+ * Responses are only kept in the worker's memory, which the browser drops once the
+ * worker is idle for about 30 seconds: this de-duplicates the reads of tabs loading
+ * at the same time, not the reads of later visits. The diff cache is what makes
+ * those fast, by keeping the computed diffs in extension storage.
+ */
+
+import logger from './logger.js';
+import messaging from './messaging.js';
+
+// Actions of the messages handled by the proxy
+const ACTIONS = {
+  getMergeRequestChanges: 'getMergeRequestChanges',
+  getMergeRequestVersions: 'getMergeRequestVersions',
+  getFileContent: 'getFileContent'
+};
+
+// Time merge request data is shared, short as new commits change it
+const MERGE_REQUEST_MAX_AGE = 30 * 1000;
+
+// Time file contents are shared, at most; they are read at a commit, so they never change
+const FILE_MAX_AGE = 10 * 60 * 1000;
+
+// Number of responses kept, the least recently used ones are evicted first
+const MAX_CACHED_RESPONSES = 40;
+
+// Retries of a request GitLab rate limited or failed to answer
+const MAX_RETRIES = 3;
+
+// Delay before the first retry, doubled on each of the next ones
+const RETRY_BASE_DELAY = 500;
+
+// Longest wait before a retry, even if GitLab asks for more
+const MAX_RETRY_DELAY = 10 * 1000;
+
+/**
+ * @typedef {Object} ProxyRequest
+ * @property {string} action - The action, one of ACTIONS
+ * @property {string} projectId - The GitLab project ID
+ * @property {string} [mergeRequestId] - The merge request IID (merge request actions)
+ * @property {string} [filePath] - The repository path of the file (getFileContent only)
+ * @property {string} [ref] - The commit to read the file at (getFileContent only)
+ */
+
+/**
+ * @typedef {Object} CachedResponse
+ * @property {*} value - The parsed response
+ * @property {number} expiresAt - When the response stops being shared
+ */
+
+// Responses shared across tabs while the worker runs, by URL, in least recently used order
+/** @type {Map<string, CachedResponse>} */
+const responseCache = new Map();
+
+// Requests in progress, by URL, so that concurrent callers share them
+/** @type {Map<string, Promise<*>>} */
+const pendingRequests = new Map();
+
+/**
+ * Wait for a while
+ * @param {number} delay - The delay in milliseconds
+ * @returns {Promise<void>} - Resolves after the delay
+ */
+function sleep(delay) {
+  return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+/**
+ * Check if a failed request may succeed when sent again
+ * @param {number} status - The response status
+ * @returns {boolean} - Whether to retry
+ */
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Get the delay before retrying a request, honouring the Retry-After header of rate limits
+ * @param {Response} response - The failed response
+ * @param {number} attempt - The number of the failed attempt, from 0
+ * @returns {number} - The delay in milliseconds
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+  const delay = Number.isNaN(retryAfter) ? RETRY_BASE_DELAY * 2 ** attempt : retryAfter * 1000;
+
+  return Math.min(delay, MAX_RETRY_DELAY);
+}
+
+/**
+ * Fetch a URL with the user's GitLab session, retrying rate limits and server errors
+ * @param {string} url - The URL
+ * @returns {Promise<Response>} - The response, possibly a failed one
+ */
+async function fetchWithRetry(url) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!isRetryable(response.status) || attempt >= MAX_RETRIES) {
+      return response;
+    }
+
+    const delay = getRetryDelay(response, attempt);
+    logger.warn(`${url} answered ${response.status}, retrying in ${delay} ms`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Get a response from the cache, marking it as recently used
+ * @param {string} url - The URL
+ * @returns {CachedResponse|null} - The cached response, or null if missing or expired
+ */
+function getCachedResponse(url) {
+  const cached = responseCache.get(url);
+  if (!cached || cached.expiresAt < Date.now()) {
+    responseCache.delete(url);
+    return null;
+  }
+
+  responseCache.delete(url);
+  responseCache.set(url, cached);
+
+  return cached;
+}
+
+/**
+ * Add a response to the cache, evicting the least recently used ones beyond the cache size
+ * @param {string} url - The URL
+ * @param {*} value - The parsed response
+ * @param {number} maxAge - Time the response is shared, in milliseconds
+ */
+function cacheResponse(url, value, maxAge) {
+  responseCache.set(url, { value, expiresAt: Date.now() + maxAge });
+
+  while (responseCache.size > MAX_CACHED_RESPONSES) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+}
+
+/**
+ * Get a GitLab resource, sharing the response and the requests in progress
+ * @param {string} url - The URL
+ * @param {number} maxAge - Time the response is shared, in milliseconds
+ * @param {Function} parse - Async function turning the response into the value to share
+ * @returns {Promise<*>} - The parsed response
+ */
+function getShared(url, maxAge, parse) {
+  const cached = getCachedResponse(url);
+  if (cached) {
+    logger.debug(`Using shared response of ${url}`);
+    return Promise.resolve(cached.value);
+  }
+
+  if (!pendingRequests.has(url)) {
+    logger.debug(`Fetching ${url}`);
+
+    const request = fetchWithRetry(url)
+      .then(parse)
+      .then(value => {
+        cacheResponse(url, value, maxAge);
+        return value;
+      })
+      .finally(() => pendingRequests.delete(url));
+
+    pendingRequests.set(url, request);
+  }
+
+  return pendingRequests.get(url);
+}
+
+/**
+ * Create a function parsing a JSON response
+ * @param {string} description - What is fetched, for error messages
+ * @returns {Function} - The parse function
+ */
+function parseJson(description) {
+  return response => {
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${description}: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  };
+}
+
+/**
+ * Get the API URL of the merge request a proxy request is about
+ * @param {string} projectUrl - The API URL of the project
+ * @param {ProxyRequest} request - The request, with its merge request IID
+ * @returns {string} - The merge request URL
+ */
+function getMergeRequestUrl(projectUrl, request) {
+  return `${projectUrl}/merge_requests/${encodeURIComponent(request.mergeRequestId)}`;
+}
+
+/**
+ * Handle a proxy request, from a content script message or directly when messaging is unavailable
+ * @param {ProxyRequest} request - The request
+ * @param {string} origin - The origin of the GitLab instance the request is for
+ * @returns {Promise<{value: *}>} - The response
+ */
+async function handleRequest(request, origin) {
+  const projectUrl = `${origin}/api/v4/projects/${encodeURIComponent(request.projectId)}`;
+
+  switch (request.action) {
+    case ACTIONS.getMergeRequestChanges:
+      return { value: await getShared(`${getMergeRequestUrl(projectUrl, request)}/changes`, MERGE_REQUEST_MAX_AGE, parseJson('changes')) };
+
+    case ACTIONS.getMergeRequestVersions:
+      return { value: await getShared(`${getMergeRequestUrl(projectUrl, request)}/versions`, MERGE_REQUEST_MAX_AGE, parseJson('versions')) };
+
+    case ACTIONS.getFileContent: {
+      const { filePath, ref } = request;
+      const fileUrl = `${projectUrl}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${encodeURIComponent(ref)}`;
+
+      return {
+        value: await getShared(fileUrl, FILE_MAX_AGE, response => {
+          // A file missing at a commit is an answer too
+          if (response.status === 404) {
+            return null;
+          }
+
+          if (!response.ok) {
+            throw new Error(`Failed to fetch ${filePath} at ${ref}: ${response.status} ${response.statusText}`);
+          }
+
+          return response.text();
+        })
+      };
+    }
+
+    default:
+      throw new Error(`Unknown GitLab proxy action ${request.action}`);
+  }
+}
+
+/**
+ * Answer the GitLab API requests of the content scripts
+ *
+ * The GitLab instance is the one of the tab sending the message, never one
+ * named in the message.
+ *
+ * @param {Object} message - The message
+ * @param {Object} sender - The sender of the message
+ * @param {Function} sendResponse - Function to send a response
+ * @returns {boolean} - Whether the response is sent asynchronously
+ */
+function handleMessage(message, sender, sendResponse) {
+  if (!Object.values(ACTIONS).includes(message?.action)) {
+    return false;
+  }
+
+  return messaging.respondAsync(handleRequest(message, new URL(sender.url).origin), sendResponse, message.action);
+}
+
+export default {
+  ACTIONS,
+  handleRequest,
+  handleMessage
+};
@@ -0,0 +1,83 @@
+/**
+ * License policy module for the Composer Diff extension.
+ * Provides functions for comparing package licenses and checking them against an allowlist/denylist.
+ */
+
+/**
+ * @typedef {Object} LicensePolicy
+ * @property {string[]} allow - SPDX identifiers accepted, empty to accept anything not denied
+ * @property {string[]} deny - SPDX identifiers refused
+ */
+
+/**
+ * Normalise an SPDX identifier so that a policy entry matches the variants of its license
+ * ("GPL-3.0", "GPL-3.0-only", "GPL-3.0-or-later" and "GPL-3.0+" are all "gpl-3.0")
+ * @param {string} license - The SPDX identifier
+ * @returns {string} - The normalised identifier
+ */
+function normalizeLicense(license) {
+  return String(license).trim().toLowerCase().replace(/(-only|-or-later|\+)$/, '');
+}
+
+/**
+ * Parse a list of SPDX identifiers separated by commas, spaces or new lines
+ * @param {string|string[]} value - The list
+ * @returns {string[]} - The identifiers
+ */
+function parseLicenseList(value) {
+  if (Array.isArray(value)) {
+    return value.map(license => String(license).trim()).filter(Boolean);
+  }
+
+  return String(value || '').split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Check if the license of a package changed
+ *
+ * The identifiers are compared as published: moving from "GPL-3.0-only" to
+ * "GPL-3.0-or-later" changes the terms, even though the policy treats both alike.
+ *
+ * @param {string[]|null} previousLicense - The previous licenses (null if package was added)
+ * @param {string[]|null} newLicense - The new licenses (null if package was removed)
+ * @returns {boolean} - Whether the license changed
+ */
+function hasLicenseChanged(previousLicense, newLicense) {
+  if (!previousLicense || !newLicense) {
+    return false;
+  }
+
+  const previous = previousLicense.map(license => String(license).trim()).sort().join(',');
+  const next = newLicense.map(license => String(license).trim()).sort().join(',');
+
+  return previous !== next;
+}
+
+/**
+ * Check if a package may be used under the policy
+ *
+ * Multiple licenses are alternatives (the user picks one), so the package is
+ * allowed as soon as one of them is acceptable.
+ *
+ * @param {string[]} licenses - The licenses of the package
+ * @param {LicensePolicy} policy - The license policy
+ * @returns {boolean} - Whether the package is allowed
+ */
+function isLicenseAllowed(licenses, policy) {
+  const allow = policy.allow.map(normalizeLicense);
+  const deny = policy.deny.map(normalizeLicense);
+
+  if (allow.length === 0 && deny.length === 0) {
+    return true;
+  }
+
+  return licenses.map(normalizeLicense).some(license =>
+    !deny.includes(license) && (allow.length === 0 || allow.includes(license))
+  ) || (licenses.length === 0 && allow.length === 0);
+}
+
+export default {
+  parseLicenseList,
+  hasLicenseChanged,
+  isLicenseAllowed
+};
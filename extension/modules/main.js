@@ -4,41 +4,142 @@
  */
 
 import logger from './logger.js';
+import actionBadge from './action-badge.js';
 import GitLabApi from './gitlab-api.js';
 import composerDiff from './composer-diff.js';
+import diffWorker from './diff-worker.js';
+import messaging from './messaging.js';
+import navigation from './navigation.js';
+import settings from './settings.js';
 import ui from './ui.js';
 
+// Prefix of the hidden marker identifying notes posted by the extension
+const NOTE_MARKER_PREFIX = 'composer-diff-for-gitlab:';
+
 // Global state
 let composerLockFound = false;
 let diffGenerated = false;
+let composerLockChanges = [];
+
+/**
+ * @typedef {Object} GeneratedDiff
+ * @property {string} filePath - The repository path of the composer.lock file
+ * @property {Object} diff - The diff computed by the background worker
+ * @property {Array} actions - Actions shown in the panel toolbar
+ * @property {import('./composer-diff.js').DiffSummary} summary - The summary shown on the Overview tab
+ * @property {string} markdown - The Markdown diff, copied or posted as a comment
+ */
+
+// Diffs generated for the current merge request, and where they are shown
+/** @type {GeneratedDiff[]} */
+let generatedDiffs = [];
+let panelsShown = false;
+let widgetShown = false;
+let generatingDiffs = false;
+
+// Merge request ("project!iid") and diff version ("diffId:startSha") the state belongs to
+let activeMergeRequestKey = null;
+let activeDiffVersionKey = null;
+
+// Incremented when the state is reset, so that work started for a previous page stops
+let pageGeneration = 0;
+
+// Function stopping the navigation watcher, null while the extension is not running
+let stopWatchingNavigation = null;
+
+/**
+ * Get the key of the merge request shown in the page
+ * @returns {string|null} - The merge request key, or null if not on a merge request
+ */
+function getMergeRequestKey() {
+  const { projectPath, mergeRequestId } = GitLabApi.extractMergeRequestFromUrl();
+  return mergeRequestId ? `${projectPath}!${mergeRequestId}` : null;
+}
+
+/**
+ * Get the key of the diff version selected in the page
+ * @returns {string} - The diff version key
+ */
+function getDiffVersionKey() {
+  const { diffId, startSha } = GitLabApi.extractDiffVersionFromUrl();
+  return `${diffId || ''}:${startSha || ''}`;
+}
+
+/**
+ * Reset the state and remove the diffs of the previous merge request or diff version
+ */
+function teardown() {
+  logger.info('Resetting state of the previous page');
+
+  pageGeneration++;
+  composerLockFound = false;
+  diffGenerated = false;
+  composerLockChanges = [];
+  generatedDiffs = [];
+  panelsShown = false;
+  widgetShown = false;
+  generatingDiffs = false;
+  activeMergeRequestKey = null;
+  activeDiffVersionKey = null;
+
+  ui.removeDiffs();
+  updateActionBadge();
+}
+
+/**
+ * Show the number of changed packages on the toolbar button of the tab, in red
+ * when there are major updates, downgrades or policy warnings
+ */
+function updateActionBadge() {
+  const summaries = generatedDiffs.map(({ summary }) => summary);
+
+  messaging.notifyBackground({
+    action: actionBadge.ACTIONS.update,
+    count: summaries.reduce((total, summary) => total + summary.added + summary.updated + summary.removed, 0),
+    warning: summaries.some(summary =>
+      summary.majorUpdates.length > 0 || summary.downgrades.length > 0 || summary.warnings.length > 0
+    )
+  });
+}
 
 /**
  * Initialize the extension
+ * @param {Object} [options] - Initialization options
+ * @param {boolean} [options.refresh=false] - Whether to compute the diffs again instead of using the cached ones
  */
-async function initialize() {
+async function initialize({ refresh = false } = {}) {
   logger.info('Initializing extension');
 
+  // Check if we're on a merge request page, on any tab
+  if (!GitLabApi.isGitLabMergeRequestPage()) {
+    logger.info('Not on a merge request page, exiting initialization');
+    return;
+  }
+
+  const generation = pageGeneration;
+
+  // Claim the merge request before anything is awaited, so that navigation events fired
+  // meanwhile, such as GitLab's replaceState on load, do not start a second initialization
+  activeMergeRequestKey = getMergeRequestKey();
+  activeDiffVersionKey = getDiffVersionKey();
+
   try {
     // Check if we're on a GitLab instance
     const isGitLab = await GitLabApi.isGitLabInstance();
     if (!isGitLab) {
       logger.info('Not a GitLab instance, exiting initialization');
+      releaseMergeRequest(generation);
       return;
     }
 
-    // Check if we're on a merge request diff page
-    if (!GitLabApi.isGitLabMergeRequestDiffPage()) {
-      logger.info('Not on a merge request diff page, exiting initialization');
-      return;
-    }
-
-    logger.info('On a GitLab merge request diff page, continuing initialization');
+    logger.info('On a GitLab merge request page, continuing initialization');
 
     // Extract project information from the page
     const { projectId, projectPath, mergeRequestId } = GitLabApi.extractProjectInfoFromPage();
 
     if (!projectId || !projectPath || !mergeRequestId) {
       logger.error('Could not extract project information from page');
+      releaseMergeRequest(generation);
       return;
     }
 
@@ -52,8 +153,20 @@ async function initialize() {
     // Update branches
     gitlabApi.setBranches(changes.source_branch, changes.target_branch);
 
-    // Check if composer.lock is present in the changes
-    composerLockFound = gitlabApi.hasComposerLock(changes);
+    // Update the commits the diff is computed between
+    gitlabApi.setDiffRefs(changes.diff_refs);
+
+    // Narrow the diff to the versions the reviewer is comparing, if any
+    await gitlabApi.selectDiffVersion(GitLabApi.extractDiffVersionFromUrl());
+
+    if (generation !== pageGeneration) {
+      logger.info('Page changed during initialization, stopping');
+      return;
+    }
+
+    // Collect every composer.lock present in the changes
+    composerLockChanges = gitlabApi.getComposerLockChanges(changes);
+    composerLockFound = composerLockChanges.length > 0;
 
     if (!composerLockFound) {
       logger.info('No composer.lock file found in this merge request');
@@ -61,18 +174,234 @@ async function initialize() {
     }
 
     // Generate the diff
-    await generateDiff(gitlabApi);
+    await generateDiff(gitlabApi, { refresh });
 
+    if (generatedDiffs.length === 0) {
+      releaseMergeRequest(generation);
+    }
   } catch (error) {
     logger.error('Error during initialization', error);
+    releaseMergeRequest(generation);
   }
 }
 
 /**
- * Generate the composer diff and insert it into the page
+ * Forget the merge request an initialization failed for, so that the next navigation tries it again
+ * @param {number} generation - The page generation the initialization started in
+ */
+function releaseMergeRequest(generation) {
+  if (generation !== pageGeneration) {
+    return;
+  }
+
+  logger.info('Initialization failed, the merge request will be initialized again on the next navigation');
+  activeMergeRequestKey = null;
+  activeDiffVersionKey = null;
+}
+
+/**
+ * Follow a page change made without a full reload
+ */
+function handleNavigation() {
+  const mergeRequestKey = getMergeRequestKey();
+  const onDiffPage = GitLabApi.isGitLabMergeRequestDiffPage();
+
+  // Another merge request, or another diff version, makes the current diffs stale
+  if (activeMergeRequestKey && (mergeRequestKey !== activeMergeRequestKey ||
+      (onDiffPage && getDiffVersionKey() !== activeDiffVersionKey))) {
+    teardown();
+  }
+
+  if (!mergeRequestKey) {
+    return;
+  }
+
+  // Switching tabs of the same merge request reuses the generated diffs
+  if (activeMergeRequestKey) {
+    showDiffs();
+  } else {
+    initialize();
+  }
+}
+
+/**
+ * Show the generated diffs: the summary widget on the Overview tab, and the full tables on the Changes tab
+ *
+ * GitLab keeps the content of the tabs already opened in the page, so each is inserted once.
+ */
+function showDiffs() {
+  if (generatedDiffs.length === 0) {
+    return;
+  }
+
+  // Set again on every tab switch, as the browser may clear it when the URL changes
+  updateActionBadge();
+
+  if (!widgetShown) {
+    widgetShown = true;
+    ui.insertSummaryWidget(
+      generatedDiffs.map(({ filePath, summary }) => ({ filePath, summary })),
+      GitLabApi.getMergeRequestChangesUrl()
+    );
+    diffGenerated = true;
+  }
+
+  // Diff file blocks only exist on the Changes tab
+  if (panelsShown || !GitLabApi.isGitLabMergeRequestDiffPage()) {
+    return;
+  }
+
+  panelsShown = true;
+
+  for (const { filePath, diff, actions } of generatedDiffs) {
+    // Insert the diff into the page
+    if (ui.insertDiffIntoPage(composerDiff.renderDiff(diff), filePath, actions)) {
+      logger.info(`Diff of ${filePath} inserted successfully`);
+    } else {
+      logger.error(`Failed to insert diff of ${filePath} into page`);
+    }
+  }
+}
+
+/**
+ * Start the extension on the current page and on every page GitLab navigates to
+ */
+async function start() {
+  if (!(await GitLabApi.isGitLabInstance())) {
+    logger.info('Not a GitLab instance, not starting');
+    return;
+  }
+
+  const userSettings = await settings.loadSettings(window.location.host);
+  settings.onSettingsChanged(handleSettingsChanged, window.location.host);
+
+  if (!settings.isHostEnabled(userSettings, window.location)) {
+    logger.info(`Extension disabled on ${window.location.host}, not starting`);
+    return;
+  }
+
+  ui.applyDisplaySettings(userSettings);
+  startWatching();
+}
+
+/**
+ * Start following the page navigation and show the diffs of the current page
+ */
+function startWatching() {
+  if (stopWatchingNavigation) {
+    return;
+  }
+
+  stopWatchingNavigation = navigation.watchNavigation(handleNavigation);
+  handleNavigation();
+}
+
+/**
+ * Stop following the page navigation and remove the diffs
+ */
+function stopWatching() {
+  if (!stopWatchingNavigation) {
+    return;
+  }
+
+  stopWatchingNavigation();
+  stopWatchingNavigation = null;
+  teardown();
+}
+
+/**
+ * Apply the settings changed from the options page without a page reload
+ * @param {Object} userSettings - The new settings
+ * @param {string[]} changedKeys - The names of the changed settings
+ */
+function handleSettingsChanged(userSettings, changedKeys) {
+  if (changedKeys.includes('enabledHosts')) {
+    if (settings.isHostEnabled(userSettings, window.location)) {
+      ui.applyDisplaySettings(userSettings);
+      startWatching();
+    } else {
+      logger.info(`Extension disabled on ${window.location.host}`);
+      stopWatching();
+    }
+  }
+
+  if (!stopWatchingNavigation) {
+    return;
+  }
+
+  if (['collapsedSections', 'hiddenColumns', 'panelPlacement'].some(key => changedKeys.includes(key))) {
+    ui.applyDisplaySettings(userSettings);
+  }
+
+  // Advisories and license policy change the diff itself, so it is generated again
+  if (['advisoryUrl', 'licenseAllowlist', 'licenseDenylist'].some(key => changedKeys.includes(key)) && activeMergeRequestKey) {
+    logger.info('Diff settings changed, generating the diffs again');
+    teardown();
+    handleNavigation();
+  }
+}
+
+/**
+ * Post the diff of a composer.lock as a merge request note, replacing the previous one
+ * @param {GitLabApi} gitlabApi - The GitLab API client
+ * @param {string} filePath - The repository path of the composer.lock file
+ * @param {string} markdownDiff - The Markdown diff
+ * @returns {Promise<string>} - Feedback message for the user
+ */
+async function postDiffAsNote(gitlabApi, filePath, markdownDiff) {
+  // An encoded path cannot close the HTML comment early
+  const marker = `<!-- ${NOTE_MARKER_PREFIX}${encodeURIComponent(filePath)} -->`;
+  const body = [marker, composerDiff.generateMarkdownHeading(filePath), '', markdownDiff].join('\n');
+
+  const result = await gitlabApi.upsertMergeRequestNote(marker, body);
+  logger.info(`Merge request note ${result} for ${filePath}`);
+
+  return result === 'updated' ? 'Comment updated' : 'Comment posted';
+}
+
+/**
+ * Get the diff of a composer.lock from the cache, or have the worker fetch both versions and compute it
  * @param {GitLabApi} gitlabApi - The GitLab API client
+ * @param {import('./gitlab-api.js').ComposerLockChange} lockChange - The changed composer.lock file
+ * @param {boolean} refresh - Whether to compute the diff again instead of using the cached one
+ * @returns {Promise<Object>} - The diff
  */
-async function generateDiff(gitlabApi) {
+async function loadComposerDiff(gitlabApi, lockChange, refresh) {
+  const { baseSha, headSha } = gitlabApi.getComparedShas();
+
+  /** @type {import('./diff-cache.js').DiffIdentity} */
+  const identity = {
+    host: window.location.host,
+    projectId: String(gitlabApi.projectId),
+    oldPath: lockChange.oldPath,
+    newPath: lockChange.newPath,
+    baseSha,
+    headSha
+  };
+
+  const handleLocally = request => diffWorker.handleRequest(request, window.location.origin);
+
+  if (!refresh) {
+    const cached = await messaging.sendToBackground({ action: diffWorker.ACTIONS.getCachedDiff, identity }, handleLocally);
+    if (cached.diff) {
+      logger.info(`Using cached diff of ${lockChange.newPath}`);
+      return cached.diff;
+    }
+  }
+
+  // The worker reads the files itself, so that large lock files do not go through the page
+  const computed = await messaging.sendToBackground({ action: diffWorker.ACTIONS.computeDiff, identity }, handleLocally);
+
+  return computed.diff;
+}
+
+/**
+ * Generate the composer diffs and show them in the page
+ * @param {GitLabApi} gitlabApi - The GitLab API client
+ * @param {Object} [options] - Generation options
+ * @param {boolean} [options.refresh=false] - Whether to compute the diffs again instead of using the cached ones
+ */
+async function generateDiff(gitlabApi, { refresh = false } = {}) {
   logger.info('Generating composer diff');
 
   if (!composerLockFound) {
@@ -80,28 +409,96 @@ async function generateDiff(gitlabApi) {
     return;
   }
 
-  try {
-    // Fetch composer.lock content
-    const { oldContent, newContent } = await gitlabApi.fetchComposerLockContent();
+  // Stop if the page changes while diffs are generated
+  const generation = pageGeneration;
+  const lockChanges = composerLockChanges;
+  generatingDiffs = true;
 
-    // Generate HTML diff
-    const htmlDiff = composerDiff.generateHtml(oldContent, newContent);
+  for (const lockChange of lockChanges) {
+    try {
+      const diff = await loadComposerDiff(gitlabApi, lockChange, refresh);
 
-    // Insert the diff into the page
-    const inserted = ui.insertDiffIntoPage(htmlDiff);
+      if (generation !== pageGeneration) {
+        logger.info('Page changed while generating diffs, stopping');
+        return;
+      }
 
-    if (inserted) {
-      logger.info('Diff inserted successfully');
-      diffGenerated = true;
+      // Generate the Markdown, and the summary of the Overview tab
+      const markdownDiff = composerDiff.generateMarkdown(diff);
+      const summary = composerDiff.summarizeDiff(diff);
 
-      // Add scroll event listener to re-insert the diff if it disappears
-      ui.addScrollEventListener(htmlDiff);
-    } else {
-      logger.error('Failed to insert diff into page');
+      const actions = [
+        { label: 'Copy as Markdown', handler: () => ui.copyToClipboard(markdownDiff) },
+        { label: 'Post as comment', handler: () => postDiffAsNote(gitlabApi, lockChange.newPath, markdownDiff) }
+      ];
+
+      generatedDiffs.push({
+        filePath: lockChange.newPath,
+        diff,
+        actions,
+        summary,
+        markdown: markdownDiff
+      });
+    } catch (error) {
+      logger.error(`Error generating diff of ${lockChange.newPath}`, error);
     }
-  } catch (error) {
-    logger.error('Error generating diff', error);
   }
+
+  if (generation !== pageGeneration) {
+    return;
+  }
+
+  generatingDiffs = false;
+  showDiffs();
+}
+
+/**
+ * Get the state of the diffs of the page, for the popup
+ * @returns {Object} - Whether composer.lock changes were found and are being diffed, and the generated diffs
+ */
+function getDiffState() {
+  return {
+    found: composerLockFound,
+    generating: generatingDiffs,
+    mergeRequest: activeMergeRequestKey,
+    diffs: generatedDiffs.map(({ filePath, diff, summary, markdown }) => ({ filePath, diff, summary, markdown }))
+  };
+}
+
+/**
+ * Generate the diffs of the merge request again, bypassing the cache
+ * @returns {Promise<Object>} - The new state of the diffs
+ */
+async function regenerateDiffs() {
+  if (!stopWatchingNavigation || !getMergeRequestKey()) {
+    throw new Error('The extension is not running on a merge request');
+  }
+
+  logger.info('Generating the diffs again');
+  teardown();
+  await initialize({ refresh: true });
+
+  return getDiffState();
+}
+
+/**
+ * Bring the diff panel of a composer.lock into view, opening the Changes tab if needed
+ * @param {string} [filePath] - The repository path of the composer.lock file, the first one if omitted
+ * @returns {Object} - Whether the panel was found or the Changes tab is opening
+ */
+function showDiffPanel(filePath) {
+  if (ui.scrollToPanel(filePath)) {
+    return { success: true };
+  }
+
+  const changesUrl = GitLabApi.getMergeRequestChangesUrl();
+  if (generatedDiffs.length > 0 && changesUrl && !GitLabApi.isGitLabMergeRequestDiffPage()) {
+    logger.info('Opening the Changes tab to show the diff panel');
+    window.location.assign(changesUrl);
+    return { success: true, navigated: true };
+  }
+
+  return { success: false, error: 'No diff panel in the page' };
 }
 
 /**
@@ -109,6 +506,7 @@ async function generateDiff(gitlabApi) {
  * @param {Object} request - The request message
  * @param {Object} sender - The sender of the message
  * @param {Function} sendResponse - Function to send a response
+ * @returns {boolean|undefined} - True when the response is sent asynchronously
  */
 function handleMessage(request, sender, sendResponse) {
   logger.info('Received message from popup', request);
@@ -128,6 +526,12 @@ function handleMessage(request, sender, sendResponse) {
     debugInfo.diffGenerated = diffGenerated;
 
     sendResponse(debugInfo);
+  } else if (request.action === 'getComposerDiff') {
+    sendResponse(getDiffState());
+  } else if (request.action === 'regenerateDiff') {
+    return messaging.respondAsync(regenerateDiffs(), sendResponse, request.action);
+  } else if (request.action === 'showDiffPanel') {
+    sendResponse(showDiffPanel(request.filePath));
   } else if (request.action === 'setLogLevel') {
     // Set the log level
     if (request.logLevel !== undefined) {
@@ -146,6 +550,7 @@ chrome.runtime.onMessage.addListener(handleMessage);
 
 // Export for testing
 export default {
+  start,
   initialize,
   generateDiff,
   handleMessage
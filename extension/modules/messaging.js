@@ -0,0 +1,71 @@
+/**
+ * Messaging module for the Composer Diff extension.
+ * Provides the requests the content script sends to the background service worker.
+ */
+
+import logger from './logger.js';
+
+/**
+ * Send a request to the background service worker
+ *
+ * When the worker cannot be reached, such as after the extension was
+ * reloaded under an open page, the request is handled in the page instead.
+ *
+ * @param {Object} request - The request, with its action
+ * @param {Function} handleLocally - Function handling the request in the page, resolving to the response
+ * @returns {Promise<Object>} - The response
+ */
+async function sendToBackground(request, handleLocally) {
+  let response;
+
+  try {
+    response = await chrome.runtime.sendMessage(request);
+  } catch (error) {
+    logger.warn(`Background worker unavailable, handling ${request.action} in the page`, error);
+    return handleLocally(request);
+  }
+
+  if (!response || response.error) {
+    throw new Error(response?.error || `No response to ${request.action}`);
+  }
+
+  return response;
+}
+
+/**
+ * Send a notification to the background service worker, which has nothing to answer
+ * @param {Object} message - The message, with its action
+ */
+function notifyBackground(message) {
+  try {
+    chrome.runtime.sendMessage(message).catch(error => {
+      logger.debug(`Background worker did not get ${message.action}`, error);
+    });
+  } catch (error) {
+    logger.debug(`Could not send ${message.action} to the background worker`, error);
+  }
+}
+
+/**
+ * Answer a message with the result of an async handler, or with its error
+ * @param {Promise<Object>} result - The result of the handler
+ * @param {Function} sendResponse - Function to send a response
+ * @param {string} action - The action of the message, for logging
+ * @returns {boolean} - Always true, as the response is sent asynchronously
+ */
+function respondAsync(result, sendResponse, action) {
+  result
+    .then(sendResponse)
+    .catch(error => {
+      logger.error(`Error handling ${action}`, error);
+      sendResponse({ error: error.message });
+    });
+
+  return true;
+}
+
+export default {
+  sendToBackground,
+  notifyBackground,
+  respondAsync
+};
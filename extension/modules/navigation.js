@@ -0,0 +1,79 @@
+/**
+ * Navigation module for the Composer Diff extension.
+ * Detects the page changes GitLab makes without a full reload, such as switching
+ * merge request tabs or following a link to another merge request.
+ */
+
+import logger from './logger.js';
+import domUtils from './dom-utils.js';
+
+// Links of the merge request tabs (Overview, Commits, Pipelines, Changes)
+const TAB_SELECTORS = [
+  '.merge-request-tabs a',
+  '.js-merge-request-tabs a',
+  '[data-testid="merge-request-tabs"] a'
+];
+
+// Time GitLab takes to update the URL after a tab click
+const TAB_SWITCH_DELAY = 100;
+
+/**
+ * Get the URL identifying the current page, ignoring the anchor of the selected file
+ * @returns {string} - The page URL
+ */
+function getPageUrl() {
+  return window.location.origin + window.location.pathname + window.location.search;
+}
+
+/**
+ * Call a function every time the page URL changes without a full reload
+ *
+ * Content scripts cannot see the page's own history.pushState calls, so
+ * changes are caught from popstate, the Navigation API where available,
+ * clicks on the merge request tabs, and DOM updates as a last resort.
+ *
+ * @param {Function} callback - Function called with the new page URL
+ * @returns {Function} - Function to stop watching
+ */
+function watchNavigation(callback) {
+  logger.info('Watching page navigation');
+
+  let currentUrl = getPageUrl();
+
+  const checkUrl = () => {
+    const url = getPageUrl();
+    if (url === currentUrl) {
+      return;
+    }
+
+    logger.info(`Page changed to ${url}`);
+    currentUrl = url;
+    callback(url);
+  };
+
+  const handleClick = event => {
+    if (event.target.closest?.(TAB_SELECTORS.join(', '))) {
+      setTimeout(checkUrl, TAB_SWITCH_DELAY);
+    }
+  };
+
+  window.addEventListener('popstate', checkUrl);
+  window.navigation?.addEventListener('navigatesuccess', checkUrl);
+  document.addEventListener('click', handleClick, true);
+
+  // GitLab always re-renders part of the page when it changes the URL
+  const observer = domUtils.createObserver(checkUrl, null, true, document.body, { childList: true, subtree: true });
+
+  return () => {
+    logger.info('Stopped watching page navigation');
+
+    window.removeEventListener('popstate', checkUrl);
+    window.navigation?.removeEventListener('navigatesuccess', checkUrl);
+    document.removeEventListener('click', handleClick, true);
+    observer.disconnect();
+  };
+}
+
+export default {
+  watchNavigation
+};
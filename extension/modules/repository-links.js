@@ -0,0 +1,131 @@
+/**
+ * Repository links module for the Composer Diff extension.
+ * Provides functions for building links to the upstream repositories of packages.
+ */
+
+// Hosts shared by everyone using the hosting service
+const KNOWN_HOSTS = {
+  'github.com': 'github',
+  'gitlab.com': 'gitlab',
+  'bitbucket.org': 'bitbucket'
+};
+
+const SCP_LIKE_URL_PATTERN = /^[\w.-]+@([\w.-]+):(.+)$/;
+const REPOSITORY_PATH_PATTERN = /^[\w.~-]+(\/[\w.~-]+)+$/;
+const HOST_PATTERN = /^[\w.-]+(:\d+)?$/;
+
+/**
+ * @typedef {Object} Repository
+ * @property {'github'|'gitlab'|'bitbucket'} type - The hosting service
+ * @property {string} url - The web URL of the repository
+ */
+
+/**
+ * Turn the source URL of a package into the web URL of its repository
+ * @param {string|null} sourceUrl - The source URL from composer.lock (https, ssh or scp-like git URL)
+ * @returns {Repository|null} - The repository, or null if the hosting service is not supported
+ */
+function parseRepositoryUrl(sourceUrl) {
+  if (typeof sourceUrl !== 'string') {
+    return null;
+  }
+
+  let host;
+  let path;
+
+  const scpMatch = sourceUrl.match(SCP_LIKE_URL_PATTERN);
+  if (scpMatch) {
+    [, host, path] = scpMatch;
+  } else {
+    try {
+      const url = new URL(sourceUrl);
+      if (!['https:', 'http:', 'ssh:', 'git:'].includes(url.protocol)) {
+        return null;
+      }
+
+      // SSH ports are meaningless on the web interface
+      host = url.protocol === 'ssh:' || url.protocol === 'git:' ? url.hostname : url.host;
+      path = url.pathname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  path = path.replace(/^\/+/, '').replace(/\/+$/, '').replace(/\.git$/, '');
+
+  if (!HOST_PATTERN.test(host) || !REPOSITORY_PATH_PATTERN.test(path)) {
+    return null;
+  }
+
+  const hostname = host.replace(/:\d+$/, '').toLowerCase();
+  const type = KNOWN_HOSTS[hostname] || (hostname.split('.').includes('gitlab') ? 'gitlab' : null);
+  if (!type) {
+    return null;
+  }
+
+  return {
+    type,
+    url: `https://${host.toLowerCase()}/${path}`
+  };
+}
+
+/**
+ * Build the URL comparing two refs of a repository
+ * @param {string|null} sourceUrl - The source URL from composer.lock
+ * @param {string} fromRef - The old tag or commit
+ * @param {string} toRef - The new tag or commit
+ * @returns {string|null} - The compare URL, or null if the hosting service is not supported
+ */
+function getCompareUrl(sourceUrl, fromRef, toRef) {
+  const repository = parseRepositoryUrl(sourceUrl);
+  if (!repository || !fromRef || !toRef) {
+    return null;
+  }
+
+  const from = encodeURIComponent(fromRef);
+  const to = encodeURIComponent(toRef);
+
+  switch (repository.type) {
+    case 'github':
+      return `${repository.url}/compare/${from}...${to}`;
+    case 'gitlab':
+      return `${repository.url}/-/compare/${from}...${to}`;
+    case 'bitbucket':
+      return `${repository.url}/branches/compare/${to}%0D${from}#diff`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the URL of a single tag or commit of a repository
+ * @param {string|null} sourceUrl - The source URL from composer.lock
+ * @param {string} ref - The tag or commit
+ * @param {boolean} [isTag=true] - Whether the ref is a tag rather than a commit
+ * @returns {string|null} - The URL, or null if the hosting service is not supported
+ */
+function getRefUrl(sourceUrl, ref, isTag = true) {
+  const repository = parseRepositoryUrl(sourceUrl);
+  if (!repository || !ref) {
+    return null;
+  }
+
+  const encodedRef = encodeURIComponent(ref);
+
+  switch (repository.type) {
+    case 'github':
+      return isTag ? `${repository.url}/releases/tag/${encodedRef}` : `${repository.url}/commit/${encodedRef}`;
+    case 'gitlab':
+      return isTag ? `${repository.url}/-/tags/${encodedRef}` : `${repository.url}/-/commit/${encodedRef}`;
+    case 'bitbucket':
+      return isTag ? `${repository.url}/src/${encodedRef}` : `${repository.url}/commits/${encodedRef}`;
+    default:
+      return null;
+  }
+}
+
+export default {
+  parseRepositoryUrl,
+  getCompareUrl,
+  getRefUrl
+};
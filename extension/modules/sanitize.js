@@ -0,0 +1,63 @@
+/**
+ * Sanitize module for the Composer Diff extension.
+ * Provides the escaping applied to lock file values before they reach a link or Markdown.
+ */
+
+import logger from './logger.js';
+
+// Protocols links may point to, anything else (javascript:, data:, ...) is dropped
+const SAFE_PROTOCOLS = ['http:', 'https:'];
+
+// Characters with a meaning in Markdown, or in the HTML GitLab accepts in Markdown
+const MARKDOWN_SPECIAL_CHARACTERS = /[\\`*_[\]<>|~&]/g;
+
+/**
+ * Check that a URL is an absolute http or https URL
+ * @param {string|null} url - The URL, usually built from a lock file source URL
+ * @returns {string|null} - The normalised URL, or null if it is not safe to link to
+ */
+function sanitizeUrl(url) {
+  if (typeof url !== 'string' || url.trim() === '') {
+    return null;
+  }
+
+  try {
+    const parsed = new URL(url.trim());
+    if (SAFE_PROTOCOLS.includes(parsed.protocol)) {
+      return parsed.href;
+    }
+  } catch (error) {
+    // Relative or malformed URLs are dropped below
+  }
+
+  logger.warn(`Dropping unsafe URL ${url}`);
+  return null;
+}
+
+/**
+ * Escape a value so that it shows as plain text in Markdown
+ * @param {string|null} value - The value to escape
+ * @returns {string} - The escaped value
+ */
+function escapeMarkdown(value) {
+  return String(value ?? '').replace(MARKDOWN_SPECIAL_CHARACTERS, '\\$&');
+}
+
+/**
+ * Format a value as Markdown inline code
+ *
+ * Backslashes do not escape anything in code spans, so backticks, which no
+ * version or package name contains, are replaced to keep the span closed.
+ *
+ * @param {string|null} value - The value to format
+ * @returns {string} - The inline code
+ */
+function formatMarkdownCode(value) {
+  return `\`${String(value ?? '').replace(/`/g, '\'')}\``;
+}
+
+export default {
+  sanitizeUrl,
+  escapeMarkdown,
+  formatMarkdownCode
+};
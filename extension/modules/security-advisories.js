@@ -0,0 +1,271 @@
+/**
+ * Security advisories module for the Composer Diff extension.
+ * Provides functions for loading a security advisory database and matching package versions against it.
+ *
+ * Two layouts are understood:
+ * - the Packagist advisories API shape: {"advisories": {"vendor/package": [{title, cve, link, affectedVersions}]}}
+ * - the FriendsOfPHP/security-advisories layout: YAML documents (separated by "---") holding
+ *   title, cve, link, reference ("composer://vendor/package") and branches.*.versions,
+ *   or the same documents as JSON keyed by package name.
+ */
+
+import logger from './logger.js';
+import composerVersion from './composer-version.js';
+
+// Snapshot shipped with the extension, used when no URL is configured
+const BUNDLED_DATABASE_PATH = 'data/security-advisories.json';
+
+// Databases already loaded, keyed by URL
+const databaseCache = new Map();
+
+/**
+ * @typedef {Object} Advisory
+ * @property {string} title - Title of the advisory
+ * @property {string|null} cve - CVE identifier, if any
+ * @property {string|null} link - Link to the advisory details
+ * @property {string} affectedVersions - Affected version range (e.g. ">=1.0,<1.2.3|>=2.0,<2.1.1")
+ */
+
+/**
+ * @typedef {Record<string, Advisory[]>} AdvisoryDatabase - Advisories keyed by lowercase package name
+ */
+
+/**
+ * Parse a YAML scalar or flow sequence, as found in advisory files
+ * @param {string} value - The raw value
+ * @returns {string|string[]|null} - The parsed value
+ */
+function parseYamlScalar(value) {
+  const trimmed = value.trim();
+
+  if (trimmed === '~' || trimmed === 'null') {
+    return null;
+  }
+
+  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+    const items = [];
+    const itemPattern = /'((?:[^']|'')*)'|"([^"]*)"|([^,\s][^,]*)/g;
+    let match;
+
+    while ((match = itemPattern.exec(trimmed.slice(1, -1))) !== null) {
+      items.push(match[1] !== undefined ? match[1].replace(/''/g, "'") : (match[2] ?? match[3].trim()));
+    }
+
+    return items;
+  }
+
+  if (trimmed.startsWith("'") && trimmed.endsWith("'")) {
+    return trimmed.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return trimmed.slice(1, -1);
+  }
+
+  return trimmed;
+}
+
+/**
+ * Parse a YAML document restricted to what advisory files use: nested maps,
+ * block and flow sequences of scalars, and comments
+ * @param {string} text - The YAML document
+ * @returns {Object} - The parsed document
+ */
+function parseYamlDocument(text) {
+  const root = {};
+  const stack = [{ indent: -1, value: root, parent: null, key: null }];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const indent = rawLine.search(/\S/);
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+      stack.pop();
+    }
+
+    const current = stack[stack.length - 1];
+
+    if (line.startsWith('- ')) {
+      // The first item tells that the container opened by the parent key is a sequence
+      if (!Array.isArray(current.value) && current.parent && Object.keys(current.value).length === 0) {
+        current.value = [];
+        current.parent[current.key] = current.value;
+      }
+
+      if (Array.isArray(current.value)) {
+        current.value.push(parseYamlScalar(line.slice(2)));
+      }
+      continue;
+    }
+
+    const match = line.match(/^(['"]?)(.+?)\1:(?:\s+(.*))?$/);
+    if (!match || Array.isArray(current.value)) {
+      continue;
+    }
+
+    const [, , key, value] = match;
+
+    if (value === undefined || value === '') {
+      current.value[key] = {};
+      stack.push({ indent, value: current.value[key], parent: current.value, key });
+    } else {
+      current.value[key] = parseYamlScalar(value);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Turn a FriendsOfPHP advisory document into an advisory
+ * @param {Object} document - The advisory document
+ * @returns {Advisory} - The advisory
+ */
+function fromFriendsOfPhpDocument(document) {
+  const ranges = Object.values(document.branches || {})
+    .map(branch => [].concat(branch.versions || []).join(','))
+    .filter(Boolean);
+
+  return {
+    title: document.title || 'Security advisory',
+    cve: document.cve || null,
+    link: document.link || null,
+    affectedVersions: ranges.join('|')
+  };
+}
+
+/**
+ * Add an advisory to the database
+ * @param {AdvisoryDatabase} database - The database
+ * @param {string} packageName - The affected package
+ * @param {Advisory} advisory - The advisory
+ */
+function addAdvisory(database, packageName, advisory) {
+  if (!packageName || !advisory.affectedVersions) {
+    return;
+  }
+
+  const key = packageName.toLowerCase();
+  (database[key] = database[key] || []).push(advisory);
+}
+
+/**
+ * Normalise the content of an advisory database in any supported layout
+ * @param {string} content - The raw database content
+ * @returns {AdvisoryDatabase} - The normalised database
+ */
+function parseAdvisoryDatabase(content) {
+  /** @type {AdvisoryDatabase} */
+  const database = {};
+  const trimmed = content.trim();
+
+  if (!trimmed.startsWith('{')) {
+    // FriendsOfPHP YAML documents
+    for (const text of trimmed.split(/^---\s*$/m)) {
+      const document = parseYamlDocument(text);
+      const packageName = String(document.reference || '').replace(/^composer:\/\//, '');
+      addAdvisory(database, packageName, fromFriendsOfPhpDocument(document));
+    }
+
+    return database;
+  }
+
+  const data = JSON.parse(trimmed);
+
+  if (data.advisories) {
+    // Packagist advisories API shape
+    for (const [packageName, advisories] of Object.entries(data.advisories)) {
+      for (const advisory of [].concat(advisories)) {
+        addAdvisory(database, advisory.packageName || packageName, {
+          title: advisory.title || 'Security advisory',
+          cve: advisory.cve || null,
+          link: advisory.link || null,
+          affectedVersions: advisory.affectedVersions || ''
+        });
+      }
+    }
+
+    return database;
+  }
+
+  // FriendsOfPHP documents converted to JSON, keyed by package then by file
+  for (const [packageName, documents] of Object.entries(data)) {
+    for (const document of Object.values(documents || {})) {
+      addAdvisory(database, packageName, fromFriendsOfPhpDocument(document));
+    }
+  }
+
+  return database;
+}
+
+/**
+ * Fetch and parse an advisory database
+ * @param {string} url - The database URL
+ * @returns {Promise<AdvisoryDatabase>} - The database
+ */
+async function fetchAdvisoryDatabase(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch advisory database: ${response.status} ${response.statusText}`);
+  }
+
+  return parseAdvisoryDatabase(await response.text());
+}
+
+/**
+ * Load the advisory database from the configured URL, or the bundled snapshot
+ * @param {string} [url=''] - The database URL, empty to use the bundled snapshot
+ * @returns {Promise<AdvisoryDatabase>} - The database, empty if it could not be loaded
+ */
+function loadAdvisoryDatabase(url = '') {
+  const bundledUrl = chrome.runtime.getURL(BUNDLED_DATABASE_PATH);
+  const databaseUrl = url || bundledUrl;
+
+  if (!databaseCache.has(databaseUrl)) {
+    logger.info('Loading security advisory database', databaseUrl);
+
+    const database = fetchAdvisoryDatabase(databaseUrl)
+      .then(loaded => {
+        if (Object.keys(loaded).length === 0) {
+          logger.warn('The security advisory database is empty, no package will be flagged', databaseUrl);
+        }
+
+        return loaded;
+      })
+      .catch(error => {
+        logger.error('Error loading security advisory database', error);
+
+        // A broken mirror should not leave reviewers without the bundled snapshot
+        return databaseUrl === bundledUrl ? {} : loadAdvisoryDatabase();
+      });
+
+    databaseCache.set(databaseUrl, database);
+  }
+
+  return databaseCache.get(databaseUrl);
+}
+
+/**
+ * Find the advisories affecting a package version
+ * @param {AdvisoryDatabase} database - The database
+ * @param {string} packageName - The package name
+ * @param {string|null} version - The package version
+ * @returns {Advisory[]} - The advisories affecting the version
+ */
+function findAdvisories(database, packageName, version) {
+  if (!database || !version) {
+    return [];
+  }
+
+  return (database[packageName.toLowerCase()] || [])
+    .filter(advisory => composerVersion.satisfiesRange(version, advisory.affectedVersions));
+}
+
+export default {
+  parseAdvisoryDatabase,
+  loadAdvisoryDatabase,
+  findAdvisories
+};
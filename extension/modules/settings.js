@@ -0,0 +1,208 @@
+/**
+ * Settings module for the Composer Diff extension.
+ * Provides access to the user settings stored in extension storage.
+ */
+
+import logger from './logger.js';
+
+// Settings used when the user did not set anything
+const DEFAULT_SETTINGS = {
+  // Hosts of the GitLab instances the extension runs on, empty to run on every GitLab instance
+  enabledHosts: [],
+  // URL of the security advisory database, empty to use the bundled snapshot
+  advisoryUrl: '',
+  // SPDX identifiers accepted in new or updated packages, empty to accept anything not denied
+  licenseAllowlist: [],
+  // SPDX identifiers refused in new or updated packages
+  licenseDenylist: [],
+  // Diff sections starting collapsed (added, updated, removed)
+  collapsedSections: [],
+  // Optional table columns to hide (section, license)
+  hiddenColumns: [],
+  // Where the panel goes in the composer.lock file block (top or bottom)
+  panelPlacement: 'top'
+};
+
+// Optional table columns, the settings store the hidden ones
+const OPTIONAL_COLUMNS = ['section', 'license'];
+
+// Storage key of the settings overridden on single GitLab instances, by host
+const HOST_SETTINGS_KEY = 'hostSettings';
+
+// Settings shared by every GitLab instance, which cannot be overridden on one
+const GLOBAL_SETTINGS = ['enabledHosts'];
+
+/**
+ * Read the settings overridden on single GitLab instances
+ * @returns {Promise<Object>} - The overridden settings, by host
+ */
+function loadHostSettings() {
+  return new Promise(resolve => {
+    try {
+      if (typeof chrome === 'undefined' || !chrome.storage) {
+        resolve({});
+        return;
+      }
+
+      chrome.storage.sync.get(HOST_SETTINGS_KEY, function(data) {
+        resolve(data[HOST_SETTINGS_KEY] || {});
+      });
+    } catch (error) {
+      logger.warn('Could not load instance settings from storage', error);
+      resolve({});
+    }
+  });
+}
+
+/**
+ * Load the user settings, falling back to the defaults
+ *
+ * Settings overridden on the given GitLab instance take precedence over the
+ * ones of every instance.
+ *
+ * @param {string|null} [host] - The host of the GitLab instance, null for the settings of every instance
+ * @returns {Promise<Object>} - The settings
+ */
+function loadSettings(host = null) {
+  return new Promise(resolve => {
+    try {
+      if (typeof chrome === 'undefined' || !chrome.storage) {
+        resolve({ ...DEFAULT_SETTINGS });
+        return;
+      }
+
+      chrome.storage.sync.get([...Object.keys(DEFAULT_SETTINGS), HOST_SETTINGS_KEY], function(data) {
+        const { [HOST_SETTINGS_KEY]: hostSettings = {}, ...globalSettings } = data;
+        const overrides = host ? hostSettings[normalizeHost(host)] : null;
+
+        resolve({ ...DEFAULT_SETTINGS, ...globalSettings, ...overrides });
+      });
+    } catch (error) {
+      logger.warn('Could not load settings from storage, using defaults', error);
+      resolve({ ...DEFAULT_SETTINGS });
+    }
+  });
+}
+
+/**
+ * Write to the extension storage
+ * @param {Object} items - The items to write
+ * @returns {Promise<void>} - Resolves once the items are written
+ */
+function writeStorage(items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set(items, function() {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Save some of the user settings
+ * @param {Object} changes - The settings to save
+ * @param {string|null} [host] - The host of the GitLab instance to override them on, null to save them for every instance
+ * @returns {Promise<void>} - Resolves once the settings are saved
+ */
+async function saveSettings(changes, host = null) {
+  if (!host) {
+    return writeStorage(changes);
+  }
+
+  const globalChanges = Object.keys(changes).filter(key => GLOBAL_SETTINGS.includes(key));
+  if (globalChanges.length > 0) {
+    throw new Error(`${globalChanges.join(', ')} cannot be set on a single GitLab instance`);
+  }
+
+  const hostSettings = await loadHostSettings();
+  const key = normalizeHost(host);
+  hostSettings[key] = { ...hostSettings[key], ...changes };
+
+  return writeStorage({ [HOST_SETTINGS_KEY]: hostSettings });
+}
+
+/**
+ * Drop the settings overridden on a GitLab instance, which then uses the settings of every instance
+ * @param {string} host - The host of the GitLab instance
+ * @returns {Promise<void>} - Resolves once the settings are dropped
+ */
+async function resetHostSettings(host) {
+  const hostSettings = await loadHostSettings();
+  delete hostSettings[normalizeHost(host)];
+
+  return writeStorage({ [HOST_SETTINGS_KEY]: hostSettings });
+}
+
+/**
+ * Call a function every time the user changes the settings, from any page of the extension
+ *
+ * Only the settings in effect on the given GitLab instance are compared, so a change
+ * of the settings of every instance that the instance overrides is not reported.
+ *
+ * @param {Function} callback - Function called with the new settings and the names of the changed ones
+ * @param {string|null} [host] - The host of the GitLab instance, null for the settings of every instance
+ */
+function onSettingsChanged(callback, host = null) {
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    return;
+  }
+
+  let currentSettings = loadSettings(host);
+
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName !== 'sync' || !Object.keys(changes).some(key => key in DEFAULT_SETTINGS || key === HOST_SETTINGS_KEY)) {
+      return;
+    }
+
+    const previousSettings = currentSettings;
+    currentSettings = loadSettings(host);
+
+    Promise.all([previousSettings, currentSettings]).then(([previous, settings]) => {
+      const changedKeys = Object.keys(DEFAULT_SETTINGS)
+        .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(settings[key]));
+
+      if (changedKeys.length > 0) {
+        logger.debug('Settings changed', changedKeys);
+        callback(settings, changedKeys);
+      }
+    });
+  });
+}
+
+/**
+ * Normalise a host entered by the user, who may paste a full URL
+ * @param {string} host - The host or URL
+ * @returns {string} - The lowercase host, with its port if any
+ */
+function normalizeHost(host) {
+  return String(host).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/\/.*$/, '');
+}
+
+/**
+ * Check if the extension is enabled on the host of a page
+ * @param {Object} settings - The settings
+ * @param {Location|URL} location - The location of the page
+ * @returns {boolean} - Whether the extension is enabled
+ */
+function isHostEnabled(settings, location) {
+  const enabledHosts = settings.enabledHosts.map(normalizeHost).filter(Boolean);
+
+  return enabledHosts.length === 0 ||
+    enabledHosts.includes(location.host.toLowerCase()) ||
+    enabledHosts.includes(location.hostname.toLowerCase());
+}
+
+export default {
+  DEFAULT_SETTINGS,
+  OPTIONAL_COLUMNS,
+  loadSettings,
+  loadHostSettings,
+  saveSettings,
+  resetHostSettings,
+  onSettingsChanged,
+  normalizeHost,
+  isHostEnabled
+};
@@ -0,0 +1,280 @@
+/**
+ * Table controls module for the Composer Diff extension.
+ * Provides filtering, sorting, vendor grouping and collapsible sections for the diff tables.
+ */
+
+import logger from './logger.js';
+import composerVersion from './composer-version.js';
+
+// Smallest number of packages of a vendor collapsed into a group
+const MIN_GROUP_SIZE = 2;
+
+// Value each sortable column sorts on, read from the row data attributes
+const SORT_VALUES = {
+  name: row => row.dataset.package,
+  'change-type': row => composerVersion.getChangeTypeRank(row.dataset.changeType || null),
+  section: row => row.dataset.section
+};
+
+/**
+ * @typedef {Object} TableState
+ * @property {HTMLTableElement} table - The table
+ * @property {HTMLTableSectionElement} tbody - The table body
+ * @property {HTMLTableRowElement[]} rows - The package rows, in their original order
+ * @property {string|null} sortKey - The column the rows are sorted on, null to keep the original order
+ * @property {number} sortDirection - 1 for ascending, -1 for descending
+ * @property {Set<string>} expandedVendors - The vendor groups the user expanded
+ */
+
+/**
+ * @typedef {Object} ControlsState
+ * @property {string} query - The filter typed by the user
+ * @property {boolean} grouped - Whether packages are grouped by vendor
+ */
+
+/**
+ * Sort package rows on a column
+ * @param {HTMLTableRowElement[]} rows - The package rows
+ * @param {string|null} sortKey - The column to sort on, null to keep the order
+ * @param {number} sortDirection - 1 for ascending, -1 for descending
+ * @returns {HTMLTableRowElement[]} - The sorted rows
+ */
+function sortRows(rows, sortKey, sortDirection) {
+  if (!sortKey) {
+    return rows;
+  }
+
+  const getValue = SORT_VALUES[sortKey];
+
+  return [...rows].sort((a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    const result = typeof valueA === 'number' ? valueA - valueB : String(valueA).localeCompare(String(valueB));
+
+    return result * sortDirection;
+  });
+}
+
+/**
+ * Split package rows into vendor groups, each group taking the place of its first package
+ * @param {HTMLTableRowElement[]} rows - The package rows
+ * @param {boolean} grouped - Whether packages are grouped by vendor
+ * @returns {Array<[string|null, HTMLTableRowElement[]]>} - The groups, with a null vendor for ungrouped rows
+ */
+function groupRowsByVendor(rows, grouped) {
+  if (!grouped) {
+    return [[null, rows]];
+  }
+
+  const vendors = new Map();
+  rows.forEach(row => {
+    const vendor = row.dataset.vendor;
+    vendors.set(vendor, [...(vendors.get(vendor) || []), row]);
+  });
+
+  return Array.from(vendors, ([vendor, vendorRows]) =>
+    vendorRows.length >= MIN_GROUP_SIZE ? [vendor, vendorRows] : [null, vendorRows]
+  );
+}
+
+/**
+ * Create the row standing for a vendor group
+ * @param {string} vendor - The vendor
+ * @param {number} count - The number of packages of the vendor
+ * @param {boolean} expanded - Whether the group is expanded
+ * @param {number} columnCount - The number of columns of the table
+ * @returns {HTMLTableRowElement} - The group row
+ */
+function createGroupRow(vendor, count, expanded, columnCount) {
+  const row = document.createElement('tr');
+  row.className = 'vendor-group-row';
+  row.dataset.vendor = vendor;
+
+  const cell = document.createElement('td');
+  cell.colSpan = columnCount;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'vendor-group-toggle';
+  button.setAttribute('aria-expanded', String(expanded));
+  button.textContent = `${vendor}/* (${count})`;
+
+  cell.appendChild(button);
+  row.appendChild(cell);
+
+  return row;
+}
+
+/**
+ * Lay out the rows of a table according to the sort, grouping and filter
+ * @param {TableState} state - The table state
+ * @param {ControlsState} controls - The controls state
+ */
+function renderTable(state, controls) {
+  const query = controls.query.trim().toLowerCase();
+  const columnCount = state.table.tHead.rows[0].cells.length;
+  const fragment = document.createDocumentFragment();
+
+  const rows = sortRows(state.rows, state.sortKey, state.sortDirection);
+
+  for (const [vendor, vendorRows] of groupRowsByVendor(rows, controls.grouped)) {
+    const matchingRows = vendorRows.filter(row => row.dataset.package.includes(query));
+
+    // Groups open up while filtering so that matching packages are visible
+    const expanded = vendor === null || !!query || state.expandedVendors.has(vendor);
+
+    if (vendor !== null) {
+      const groupRow = createGroupRow(vendor, vendorRows.length, expanded, columnCount);
+      groupRow.hidden = matchingRows.length === 0;
+      fragment.appendChild(groupRow);
+    }
+
+    vendorRows.forEach(row => {
+      row.hidden = !expanded || !matchingRows.includes(row);
+      fragment.appendChild(row);
+    });
+  }
+
+  state.tbody.replaceChildren(fragment);
+}
+
+/**
+ * Show the sort column and direction on the table header
+ * @param {TableState} state - The table state
+ */
+function updateSortIndicators(state) {
+  state.table.querySelectorAll('th[data-sort]').forEach(header => {
+    if (header.dataset.sort === state.sortKey) {
+      header.setAttribute('aria-sort', state.sortDirection === 1 ? 'ascending' : 'descending');
+    } else {
+      header.removeAttribute('aria-sort');
+    }
+  });
+}
+
+/**
+ * Make the sortable columns and vendor groups of a table respond to clicks
+ * @param {TableState} state - The table state
+ * @param {ControlsState} controls - The controls state
+ */
+function bindTableEvents(state, controls) {
+  state.table.querySelectorAll('th[data-sort]').forEach(header => {
+    header.classList.add('sortable');
+    header.addEventListener('click', () => {
+      // Clicking the sorted column again reverses the order
+      state.sortDirection = state.sortKey === header.dataset.sort ? -state.sortDirection : 1;
+      state.sortKey = header.dataset.sort;
+
+      updateSortIndicators(state);
+      renderTable(state, controls);
+    });
+  });
+
+  state.tbody.addEventListener('click', event => {
+    const groupRow = event.target.closest('.vendor-group-row');
+    if (!groupRow) {
+      return;
+    }
+
+    const vendor = groupRow.dataset.vendor;
+    if (state.expandedVendors.has(vendor)) {
+      state.expandedVendors.delete(vendor);
+    } else {
+      state.expandedVendors.add(vendor);
+    }
+
+    renderTable(state, controls);
+  });
+}
+
+/**
+ * Create the filter box and vendor grouping toggle shown above the tables
+ * @param {ControlsState} controls - The controls state
+ * @param {Function} render - Function laying out every table again
+ * @returns {Element} - The created controls
+ */
+function createControls(controls, render) {
+  const container = document.createElement('div');
+  container.className = 'composer-diff-table-controls';
+
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.className = 'form-control gl-form-input composer-diff-search';
+  search.placeholder = 'Filter packages';
+  search.setAttribute('aria-label', 'Filter packages');
+  search.addEventListener('input', () => {
+    controls.query = search.value;
+    render();
+  });
+
+  const label = document.createElement('label');
+  label.className = 'composer-diff-filter';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = controls.grouped;
+  checkbox.addEventListener('change', () => {
+    controls.grouped = checkbox.checked;
+    render();
+  });
+
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode(' Group by vendor'));
+
+  container.appendChild(search);
+  container.appendChild(label);
+
+  return container;
+}
+
+/**
+ * Collapse the diff sections the user prefers collapsed, and expand the others
+ * @param {Element} content - The element holding the diff tables
+ * @param {string[]} collapsedSections - Sections to collapse (added, updated or removed)
+ */
+function setCollapsedSections(content, collapsedSections) {
+  content.querySelectorAll('.composer-diff-section').forEach(section => {
+    section.open = !collapsedSections.includes(section.dataset.section);
+  });
+}
+
+/**
+ * Add the filter box, sortable columns and vendor groups to the diff tables
+ * @param {Element} content - The element holding the diff tables
+ */
+function enhanceTables(content) {
+  const sections = Array.from(content.querySelectorAll('.composer-diff-section'));
+  if (sections.length === 0) {
+    return;
+  }
+
+  logger.debug(`Adding table controls to ${sections.length} sections`);
+
+  /** @type {ControlsState} */
+  const controls = { query: '', grouped: true };
+
+  /** @type {TableState[]} */
+  const tables = sections.map(section => {
+    const table = section.querySelector('table');
+    return {
+      table,
+      tbody: table.tBodies[0],
+      rows: Array.from(table.tBodies[0].rows),
+      sortKey: null,
+      sortDirection: 1,
+      expandedVendors: new Set()
+    };
+  });
+
+  const render = () => tables.forEach(state => renderTable(state, controls));
+
+  tables.forEach(state => bindTableEvents(state, controls));
+  sections[0].before(createControls(controls, render));
+
+  render();
+}
+
+export default {
+  setCollapsedSections,
+  enhanceTables
+};
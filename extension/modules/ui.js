@@ -4,7 +4,10 @@
  */
 
 import logger from './logger.js';
+import composerDiff from './composer-diff.js';
 import domUtils from './dom-utils.js';
+import settings from './settings.js';
+import tableControls from './table-controls.js';
 
 // Selectors for finding composer.lock elements
 const COMPOSER_LOCK_SELECTORS = [
@@ -46,124 +49,258 @@ const CONTENT_SELECTORS = [
   '.diff-wrap'
 ];
 
-// Selectors for fallback containers
-const FALLBACK_SELECTORS = [
-  '.diffs',
+// Selectors for finding the file header of a file block
+const FILE_HEADER_SELECTORS = [
+  '.js-file-title',
+  '.file-title',
+  '.diff-file-header'
+];
+
+// Selectors for the container of the file blocks, which GitLab's virtual scroller re-renders
+const DIFF_FILES_SELECTORS = [
   '.diff-files-holder',
-  '#diffs',
-  '.content-wrapper'
+  '.diffs',
+  '#diffs'
+];
+
+// Selectors for the messages GitLab shows instead of a collapsed diff
+const COLLAPSED_SELECTORS = [
+  '.collapsed-file-warning',
+  '.diff-collapsed',
+  '.js-too-large-diff'
+];
+
+// Selectors for the buttons expanding a collapsed diff
+const EXPAND_SELECTORS = [
+  '[data-testid="expand-button"]',
+  '.click-to-expand',
+  '.js-click-to-expand'
+];
+
+// Selectors for finding the merge widgets of the Overview tab
+const MERGE_WIDGET_SELECTORS = [
+  '.mr-state-widget',
+  '.mr-widget-section',
+  '#js-vue-mr-widget'
+];
+
+// Selectors for the merge request page, holding both the merge widgets and the file blocks
+const MERGE_REQUEST_SELECTORS = [
+  '.merge-request',
+  '#content-body'
 ];
 
+// Time given to GitLab to render a composer.lock file block before showing its diff in a floating panel
+const FLOATING_PANEL_DELAY = 3000;
+
+// How long an action's feedback stays on its button
+const ACTION_FEEDBACK_DURATION = 2000;
+
 /**
- * Find the composer.lock element in the page
- * @returns {Element|null} - The composer.lock element or null if not found
+ * @typedef {Object} PanelAction
+ * @property {string} label - Label of the action button
+ * @property {Function} handler - Function run on click, may resolve to a feedback message
  */
-function findComposerLockElement() {
-  logger.info('Finding composer.lock element in the page');
+
+// Panels inserted into the page, keyed by composer.lock path
+const insertedPanels = new Map();
+
+// Observer re-attaching the panels GitLab removes, the element it observes, and its pending animation frame
+let panelObserver = null;
+let observedElement = null;
+let reattachFrame = null;
+
+// Files whose collapsed diff the extension already expanded
+const expandedFiles = new Set();
+
+// Summary widget of the Overview tab
+let summaryWidget = null;
+
+// Settings deciding how the panels look and where they go
+let displaySettings = {
+  panelPlacement: 'top',
+  hiddenColumns: [],
+  collapsedSections: []
+};
+
+// Floating panel holding the diffs whose file block is not rendered, and its pending timeout
+let floatingHost = null;
+let floatingTimeout = null;
+
+/**
+ * Check if an element refers to the given file path
+ * @param {Element} element - The element to check
+ * @param {string} filePath - The repository path of the file
+ * @returns {boolean} - Whether the element refers to the file
+ */
+function elementMatchesFilePath(element, filePath) {
+  if (element.dataset?.path === filePath || element.getAttribute('title') === filePath) {
+    return true;
+  }
+
+  // File headers show the full path, possibly surrounded by other labels
+  const text = element.textContent?.trim() || '';
+  return text === filePath || text.split(/\s+/).includes(filePath);
+}
+
+/**
+ * Find the file element of a composer.lock in the page
+ *
+ * Only the file block of the composer.lock itself is returned: GitLab may not
+ * have rendered it yet, and showing the diff in another file would mislead reviewers.
+ *
+ * @param {string} [filePath='composer.lock'] - The repository path of the composer.lock file
+ * @returns {Element|null} - The composer.lock element or null if not rendered
+ */
+function findComposerLockElement(filePath = 'composer.lock') {
+  logger.debug(`Finding ${filePath} element in the page`);
 
   // First try to find elements that match our selectors
   const fileElements = domUtils.findAllElements(COMPOSER_LOCK_SELECTORS);
 
-  // Check each element for composer.lock
+  // Check each element for the file path
   for (const element of fileElements) {
     // Check text content, data-path, and title attributes
-    if (element.textContent?.trim().includes('composer.lock') ||
-        (element.dataset?.path && element.dataset.path.includes('composer.lock')) ||
-        (element.getAttribute('title') && element.getAttribute('title').includes('composer.lock'))) {
-
-      logger.debug('Found element with composer.lock reference', element);
+    if (elementMatchesFilePath(element, filePath)) {
+      logger.debug(`Found element with ${filePath} reference`, element);
 
       // Try to find a suitable parent container
       for (const parentSelector of PARENT_SELECTORS) {
         const parent = element.closest(parentSelector);
         if (parent) {
-          logger.info('Found composer.lock parent element', parent);
+          logger.debug(`Found ${filePath} parent element`, parent);
           return parent;
         }
       }
     }
   }
 
-  // If we still couldn't find the composer.lock element, try a more aggressive approach
-  logger.warn('Could not find composer.lock element using standard selectors, trying alternative approach');
-
-  // Try to find any element that contains "composer.lock" anywhere in its text
-  const elementWithText = domUtils.findElementContainingText('composer.lock');
-  if (elementWithText) {
-    logger.debug('Found element with composer.lock text', elementWithText);
+  logger.debug(`${filePath} is not rendered in the page`);
+  return null;
+}
 
-    // Try to find a suitable parent container
-    for (const parentSelector of PARENT_SELECTORS) {
-      const parent = elementWithText.closest(parentSelector);
-      if (parent) {
-        logger.info('Found composer.lock parent element using alternative approach', parent);
-        return parent;
+/**
+ * Find the content element to insert the diff into
+ * @param {Element} composerLockElement - The composer.lock element
+ * @returns {Element|null} - The content element or null if the diff content is not rendered
+ */
+function findContentElement(composerLockElement) {
+  for (const selector of CONTENT_SELECTORS) {
+    try {
+      const element = composerLockElement.querySelector(selector);
+      if (element) {
+        logger.debug(`Found content element with selector "${selector}"`, element);
+        return element;
       }
+    } catch (error) {
+      logger.error(`Error finding element with selector "${selector}"`, error);
     }
   }
 
-  // If we still couldn't find it, try to find the first diff file as a fallback
-  logger.warn('Still could not find composer.lock element, trying to use first diff file as fallback');
+  logger.debug('Could not find specific content element');
+  return null;
+}
 
-  const firstDiffFile = domUtils.findElement(PARENT_SELECTORS);
-  if (firstDiffFile) {
-    logger.info('Using first diff file as fallback', firstDiffFile);
-    return firstDiffFile;
+/**
+ * Expand the diff of a composer.lock file GitLab collapsed because of its size
+ *
+ * Each file is expanded once, so that a reviewer collapsing it again is not overridden.
+ *
+ * @param {Element} composerLockElement - The composer.lock element
+ * @param {string} filePath - The repository path of the composer.lock file
+ */
+function expandCollapsedDiff(composerLockElement, filePath) {
+  if (expandedFiles.has(filePath) || !domUtils.findElement(COLLAPSED_SELECTORS, composerLockElement)) {
+    return;
   }
 
-  // As a last resort, try to find a container for diffs
-  logger.warn('Could not find any suitable element in the page for insertion, trying fallback containers');
-
-  const diffsContainer = domUtils.findElement(FALLBACK_SELECTORS);
-  if (diffsContainer) {
-    logger.info('Using diffs container as last resort', diffsContainer);
-    return diffsContainer;
+  const expandButton = domUtils.findElement(EXPAND_SELECTORS, composerLockElement);
+  if (!expandButton) {
+    return;
   }
 
-  // If all else fails, just use the body
-  logger.warn('Using document body as final fallback');
-  return document.body;
+  logger.info(`Expanding collapsed diff of ${filePath}`);
+  expandedFiles.add(filePath);
+  expandButton.click();
 }
 
 /**
- * Find the content element to insert the diff into
- * @param {Element} composerLockElement - The composer.lock element
- * @returns {Element} - The content element
+ * Copy text to the clipboard
+ * @param {string} text - The text to copy
+ * @returns {Promise<string>} - Feedback message for the user
  */
-function findContentElement(composerLockElement) {
-  logger.info('Finding content element to insert diff into');
+async function copyToClipboard(text) {
+  await navigator.clipboard.writeText(text);
+  logger.info('Copied text to clipboard');
+  return 'Copied!';
+}
 
-  // Only try to find a child element if composerLockElement is not the body
-  if (composerLockElement !== document.body) {
-    for (const selector of CONTENT_SELECTORS) {
-      try {
-        const element = composerLockElement.querySelector(selector);
-        if (element) {
-          logger.debug(`Found content element with selector "${selector}"`, element);
-          return element;
-        }
-      } catch (error) {
-        logger.error(`Error finding element with selector "${selector}"`, error);
-      }
+/**
+ * Create a button running a panel action
+ * @param {PanelAction} action - The action to run
+ * @returns {Element} - The created button
+ */
+function createActionButton(action) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-default btn-sm gl-button composer-diff-button';
+  button.textContent = action.label;
+
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+
+    try {
+      const feedback = await action.handler();
+      button.textContent = feedback || action.label;
+    } catch (error) {
+      logger.error(`Error running "${action.label}" action`, error);
+      button.textContent = 'Failed';
     }
-  }
 
-  // If we still can't find a suitable element, use the composer.lock element itself
-  logger.info('Could not find specific content element, using composer.lock element itself');
-  return composerLockElement;
+    setTimeout(() => {
+      button.textContent = action.label;
+      button.disabled = false;
+    }, ACTION_FEEDBACK_DURATION);
+  });
+
+  return button;
+}
+
+/**
+ * Create the toggle hiding transitive dependencies from a diff container
+ * @param {Element} diffContainer - The diff container to filter
+ * @returns {Element} - The created toggle
+ */
+function createDirectOnlyToggle(diffContainer) {
+  const label = document.createElement('label');
+  label.className = 'composer-diff-filter';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.addEventListener('change', () => {
+    diffContainer.classList.toggle('composer-diff-direct-only', checkbox.checked);
+  });
+
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode(' Direct only'));
+
+  return label;
 }
 
 /**
  * Create the diff container element
- * @param {string} htmlContent - The HTML content to insert
+ * @param {import('./composer-diff.js').RenderedDiff} renderedDiff - The rendered diff, moved into the container
+ * @param {string} [filePath='composer.lock'] - The repository path of the composer.lock file
+ * @param {PanelAction[]} [actions=[]] - Actions shown in the header toolbar
  * @returns {Element} - The created container element
  */
-function createDiffContainer(htmlContent) {
+function createDiffContainer(renderedDiff, filePath = 'composer.lock', actions = []) {
   logger.info('Creating diff container');
 
   // Create the container for our diff
   const diffContainer = document.createElement('div');
   diffContainer.className = 'composer-diff-container';
+  diffContainer.dataset.composerLockPath = filePath;
 
   // Add a header
   const header = document.createElement('div');
@@ -171,14 +308,36 @@ function createDiffContainer(htmlContent) {
 
   const title = document.createElement('h3');
   title.className = 'composer-diff-title';
-  title.textContent = 'Composer Diff';
+  title.textContent = filePath === 'composer.lock' ? 'Composer Diff' : `Composer Diff: ${filePath}`;
 
   header.appendChild(title);
 
+  if (actions.length > 0) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'composer-diff-actions';
+    actions.forEach(action => toolbar.appendChild(createActionButton(action)));
+    header.appendChild(toolbar);
+  }
+
   // Add the diff content
   const content = document.createElement('div');
   content.className = 'markdown-content';
-  content.innerHTML = htmlContent;
+  content.appendChild(renderedDiff.content);
+
+  tableControls.setCollapsedSections(content, displaySettings.collapsedSections);
+  applyHiddenColumns(diffContainer);
+
+  // The controls work on every row, so they wait for large tables to finish rendering
+  renderedDiff.rendered.then(() => {
+    // Let reviewers focus on the dependencies composer.json asks for
+    if (content.querySelector('.package-transitive')) {
+      header.appendChild(createDirectOnlyToggle(diffContainer));
+    }
+
+    tableControls.enhanceTables(content);
+  }).catch(error => {
+    logger.error(`Error rendering the diff of ${filePath}`, error);
+  });
 
   // Add everything to the container
   diffContainer.appendChild(header);
@@ -188,36 +347,191 @@ function createDiffContainer(htmlContent) {
 }
 
 /**
- * Insert the diff into the page
- * @param {string} htmlContent - The HTML content to insert
- * @returns {boolean} - Whether the insertion was successful
+ * Find the diff panel already inserted for a composer.lock file
+ * @param {string} filePath - The repository path of the composer.lock file
+ * @param {Element|Document} [parent=document] - Parent element to search in
+ * @returns {Element|null} - The existing panel or null if not found
  */
-function insertDiffIntoPage(htmlContent) {
-  logger.info('Inserting diff into page');
+function findExistingDiff(filePath, parent = document) {
+  const panels = parent.querySelectorAll('.composer-diff-container');
+  return Array.from(panels).find(panel => panel.dataset.composerLockPath === filePath) || null;
+}
 
-  try {
-    // Find the composer.lock element
-    const composerLockElement = findComposerLockElement();
-    if (!composerLockElement) {
-      logger.error('Could not find any element to insert diff into');
-      return false;
+/**
+ * Attach a panel to the file block of its composer.lock file
+ * @param {Element} panel - The panel to attach
+ * @param {string} filePath - The repository path of the composer.lock file
+ * @returns {boolean} - Whether the panel was attached
+ */
+function attachPanel(panel, filePath) {
+  // Find the composer.lock element
+  const composerLockElement = findComposerLockElement(filePath);
+  if (!composerLockElement) {
+    return false;
+  }
+
+  expandCollapsedDiff(composerLockElement, filePath);
+
+  // Check if we already added another diff of the file
+  const existingDiff = findExistingDiff(filePath);
+  if (existingDiff && existingDiff !== panel) {
+    logger.debug('Removing existing diff');
+    existingDiff.remove();
+  }
+
+  // Insert the container in the diff, or below the file header while the diff is collapsed
+  const contentElement = findContentElement(composerLockElement);
+  if (contentElement) {
+    return domUtils.safeInsertElement(panel, contentElement, displaySettings.panelPlacement === 'bottom' ? 'append' : 'prepend');
+  }
+
+  const headerElement = domUtils.findElement(FILE_HEADER_SELECTORS, composerLockElement);
+  return headerElement
+    ? domUtils.safeInsertElement(panel, headerElement, 'after')
+    : domUtils.safeInsertElement(panel, composerLockElement, 'append');
+}
+
+/**
+ * Show the panels whose file block GitLab still has not rendered in a floating panel
+ */
+function showFloatingPanels() {
+  floatingTimeout = null;
+
+  const pendingPanels = Array.from(insertedPanels.values()).filter(panel => !panel.isConnected);
+  if (pendingPanels.length === 0) {
+    return;
+  }
+
+  logger.warn(`${pendingPanels.length} composer.lock file blocks not found, showing a floating panel`);
+
+  if (!floatingHost) {
+    floatingHost = document.createElement('details');
+    floatingHost.className = 'composer-diff-floating';
+    floatingHost.appendChild(document.createElement('summary'));
+    document.body.appendChild(floatingHost);
+  }
+
+  pendingPanels.forEach(panel => floatingHost.appendChild(panel));
+  updateFloatingSummary();
+}
+
+/**
+ * Update the summary line of the floating panel, removing it once every panel found its file block
+ */
+function updateFloatingSummary() {
+  const panels = floatingHost.querySelectorAll('.composer-diff-container');
+  if (panels.length === 0) {
+    floatingHost.remove();
+    floatingHost = null;
+    return;
+  }
+
+  const packageCount = floatingHost.querySelectorAll('tr[data-package]').length;
+  const files = Array.from(panels, panel => panel.dataset.composerLockPath);
+
+  floatingHost.querySelector('summary').textContent =
+    `Composer Diff: ${packageCount} package change${packageCount === 1 ? '' : 's'} in ${files.join(', ')} (file not shown on this page)`;
+}
+
+/**
+ * Attach again the panels GitLab removed while re-rendering their file block,
+ * and the summary widget once the merge widgets render
+ *
+ * The same panel element is attached, so the filter, sort, expanded groups
+ * and collapsed sections the reviewer chose are kept.
+ */
+function reattachPanels() {
+  if (summaryWidget && !summaryWidget.isConnected) {
+    attachSummaryWidget();
+  }
+
+  let leftFloatingPanel = false;
+
+  for (const [filePath, panel] of insertedPanels) {
+    const floating = !!floatingHost && floatingHost.contains(panel);
+
+    // Wait for the file block itself while it is scrolled out of the virtual list
+    if ((!panel.isConnected || floating) && attachPanel(panel, filePath)) {
+      logger.info(`Diff of ${filePath} attached to its file block`);
+      leftFloatingPanel = leftFloatingPanel || floating;
     }
+  }
 
-    // Check if we already added our diff
-    const existingDiff = composerLockElement.querySelector('.composer-diff-container');
-    if (existingDiff) {
-      logger.debug('Removing existing diff');
-      existingDiff.remove();
+  if (leftFloatingPanel) {
+    updateFloatingSummary();
+  }
+}
+
+/**
+ * Watch the container of the file blocks for the ones GitLab's virtual scroller re-renders,
+ * and the merge request page for the merge widgets while the summary widget is shown
+ *
+ * The whole page is only watched until GitLab renders the container, so that
+ * the rest of the page does not wake the observer.
+ */
+function watchPanels() {
+  const target = domUtils.findElement(summaryWidget ? MERGE_REQUEST_SELECTORS : DIFF_FILES_SELECTORS) || document.body;
+  if (panelObserver && observedElement === target) {
+    return;
+  }
+
+  if (panelObserver) {
+    panelObserver.disconnect();
+  } else {
+    logger.info('Watching file blocks to keep the diffs attached');
+  }
+
+  observedElement = target;
+
+  // File blocks are replaced rather than updated, so only added and removed nodes matter
+  panelObserver = domUtils.createObserver(() => {
+    // Checking once per frame is enough to re-attach before the reviewer sees the file
+    if (!reattachFrame) {
+      reattachFrame = requestAnimationFrame(() => {
+        reattachFrame = null;
+        reattachPanels();
+
+        if (observedElement === document.body) {
+          watchPanels();
+        }
+      });
     }
+  }, null, true, target, {
+    childList: true,
+    subtree: true
+  });
+}
 
-    // Create the diff container
-    const diffContainer = createDiffContainer(htmlContent);
+/**
+ * Insert the diff of a composer.lock file into the page
+ *
+ * When the file block is not rendered yet, the diff is attached as soon as it
+ * is, and shown in a floating panel if that takes too long.
+ *
+ * @param {import('./composer-diff.js').RenderedDiff} renderedDiff - The rendered diff
+ * @param {string} [filePath='composer.lock'] - The repository path of the composer.lock file
+ * @param {PanelAction[]} [actions=[]] - Actions shown in the header toolbar
+ * @returns {boolean} - Whether the insertion was successful
+ */
+function insertDiffIntoPage(renderedDiff, filePath = 'composer.lock', actions = []) {
+  logger.info(`Inserting diff of ${filePath} into page`);
+
+  try {
+    // Create the diff container, replacing the one of a previous generation
+    const diffContainer = createDiffContainer(renderedDiff, filePath, actions);
+    insertedPanels.get(filePath)?.remove();
+    insertedPanels.set(filePath, diffContainer);
+    watchPanels();
 
-    // Find the content element to insert the diff into
-    const contentElement = findContentElement(composerLockElement);
+    if (!attachPanel(diffContainer, filePath)) {
+      logger.info(`${filePath} is not rendered yet, waiting for its file block`);
 
-    // Insert the container
-    return domUtils.safeInsertElement(diffContainer, contentElement, 'prepend');
+      if (!floatingTimeout) {
+        floatingTimeout = setTimeout(showFloatingPanels, FLOATING_PANEL_DELAY);
+      }
+    }
+
+    return true;
   } catch (error) {
     logger.error('Error inserting diff into page', error);
     return false;
@@ -225,34 +539,207 @@ function insertDiffIntoPage(htmlContent) {
 }
 
 /**
- * Add a scroll event listener to re-insert the diff if it disappears
- * @param {string} htmlContent - The HTML content to insert
+ * Scroll the page to the diff panel of a composer.lock file
+ *
+ * A panel still waiting for its file block is reached through the file block,
+ * which GitLab renders once scrolled into view.
+ *
+ * @param {string} [filePath] - The repository path of the composer.lock file, the first panel if omitted
+ * @returns {boolean} - Whether there was a panel or file block to scroll to
  */
-function addScrollEventListener(htmlContent) {
-  logger.info('Adding scroll event listener');
+function scrollToPanel(filePath) {
+  const panel = filePath ? insertedPanels.get(filePath) : insertedPanels.values().next().value;
+  if (!panel) {
+    return false;
+  }
 
-  // Only add the scroll event listener once
-  if (window.composerDiffScrollListenerAdded) {
-    logger.debug('Scroll event listener already added');
-    return;
+  if (floatingHost?.contains(panel)) {
+    floatingHost.open = true;
   }
 
-  window.composerDiffScrollListenerAdded = true;
+  const target = panel.isConnected ? panel : findComposerLockElement(filePath || insertedPanels.keys().next().value);
+  if (!target) {
+    return false;
+  }
 
-  window.addEventListener('scroll', function() {
-    // Use a debounce to avoid too many checks
-    if (this.scrollTimeout) clearTimeout(this.scrollTimeout);
-    this.scrollTimeout = setTimeout(function() {
-      // Check if the diff is still in the DOM
-      const existingDiff = document.querySelector('.composer-diff-container');
-      if (!existingDiff) {
-        logger.info('Diff disappeared after scroll, re-inserting');
-        insertDiffIntoPage(htmlContent);
-      }
-    }, 200);
+  target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  return true;
+}
+
+/**
+ * @typedef {Object} FileSummary
+ * @property {string} filePath - The repository path of the composer.lock file
+ * @property {import('./composer-diff.js').DiffSummary} summary - The summary of its diff
+ */
+
+/**
+ * Create the list of the changes reviewers should look at first
+ * @param {import('./composer-diff.js').DiffSummary} summary - The diff summary
+ * @returns {Element|null} - The list, or null if there is nothing to point out
+ */
+function createHighlightList(summary) {
+  const highlights = composerDiff.describeSummaryHighlights(summary);
+
+  if (highlights.length === 0) {
+    return null;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'composer-diff-widget-highlights';
+
+  highlights.forEach(({ type, text }) => {
+    const item = document.createElement('li');
+    item.className = `composer-diff-widget-${type}`;
+    item.textContent = text;
+    list.appendChild(item);
   });
 
-  logger.debug('Scroll event listener added');
+  return list;
+}
+
+/**
+ * Create the dependency summary widget shown on the Overview tab
+ * @param {FileSummary[]} summaries - The summaries of every composer.lock diff
+ * @param {string|null} changesUrl - The URL of the Changes tab
+ * @returns {Element} - The created widget
+ */
+function createSummaryWidget(summaries, changesUrl) {
+  const widget = document.createElement('section');
+  widget.className = 'composer-diff-widget';
+
+  const header = document.createElement('div');
+  header.className = 'composer-diff-widget-header';
+
+  const title = document.createElement('strong');
+  title.textContent = 'Composer dependencies';
+  header.appendChild(title);
+
+  if (changesUrl) {
+    const link = document.createElement('a');
+    link.href = changesUrl;
+    link.textContent = 'View full diff';
+    header.appendChild(link);
+  }
+
+  widget.appendChild(header);
+
+  for (const { filePath, summary } of summaries) {
+    const file = document.createElement('div');
+    file.className = 'composer-diff-widget-file';
+
+    const counts = document.createElement('div');
+    const path = document.createElement('code');
+    path.textContent = filePath;
+    counts.appendChild(path);
+    counts.appendChild(document.createTextNode(`: ${composerDiff.describeSummaryCounts(summary)}`));
+    file.appendChild(counts);
+
+    const highlights = createHighlightList(summary);
+    if (highlights) {
+      file.appendChild(highlights);
+    }
+
+    widget.appendChild(file);
+  }
+
+  return widget;
+}
+
+/**
+ * Attach the summary widget above the merge widgets of the Overview tab
+ * @returns {boolean} - Whether the widget was attached
+ */
+function attachSummaryWidget() {
+  const mergeWidget = domUtils.findElement(MERGE_WIDGET_SELECTORS);
+  return !!mergeWidget && domUtils.safeInsertElement(summaryWidget, mergeWidget, 'before');
+}
+
+/**
+ * Insert the dependency summary widget into the Overview tab
+ *
+ * GitLab renders the merge widgets after the page loads, so the widget is
+ * attached as soon as they show up.
+ *
+ * @param {FileSummary[]} summaries - The summaries of every composer.lock diff
+ * @param {string|null} changesUrl - The URL of the Changes tab
+ */
+function insertSummaryWidget(summaries, changesUrl) {
+  logger.info('Inserting dependency summary widget');
+
+  summaryWidget?.remove();
+  summaryWidget = createSummaryWidget(summaries, changesUrl);
+  watchPanels();
+
+  if (!attachSummaryWidget()) {
+    logger.info('Merge widgets are not rendered yet, waiting for them');
+  }
+}
+
+/**
+ * Hide the optional columns the user does not want in a panel
+ * @param {Element} panel - The panel
+ */
+function applyHiddenColumns(panel) {
+  for (const column of settings.OPTIONAL_COLUMNS) {
+    panel.classList.toggle(`composer-diff-hide-${column}`, displaySettings.hiddenColumns.includes(column));
+  }
+}
+
+/**
+ * Apply the display settings to the panels in the page and the ones inserted later
+ * @param {Object} settings - The settings
+ * @param {string} settings.panelPlacement - Where the panel goes in the file block (top or bottom)
+ * @param {string[]} settings.hiddenColumns - Optional table columns to hide
+ * @param {string[]} settings.collapsedSections - Diff sections starting collapsed
+ */
+function applyDisplaySettings({ panelPlacement, hiddenColumns, collapsedSections }) {
+  const placementChanged = panelPlacement !== displaySettings.panelPlacement;
+  const collapsedSectionsChanged = collapsedSections.join() !== displaySettings.collapsedSections.join();
+
+  displaySettings = { panelPlacement, hiddenColumns, collapsedSections };
+
+  for (const [filePath, panel] of insertedPanels) {
+    applyHiddenColumns(panel);
+
+    // A new preference wins over the sections the reviewer toggled so far
+    if (collapsedSectionsChanged) {
+      tableControls.setCollapsedSections(panel, collapsedSections);
+    }
+
+    if (placementChanged && panel.isConnected && !floatingHost?.contains(panel)) {
+      attachPanel(panel, filePath);
+    }
+  }
+}
+
+/**
+ * Remove the diffs and the summary widget from the page and stop re-attaching them, before showing another merge request
+ */
+function removeDiffs() {
+  logger.info('Removing diffs from page');
+
+  if (panelObserver) {
+    panelObserver.disconnect();
+    cancelAnimationFrame(reattachFrame);
+    panelObserver = null;
+    observedElement = null;
+    reattachFrame = null;
+  }
+
+  clearTimeout(floatingTimeout);
+  floatingTimeout = null;
+
+  insertedPanels.forEach(panel => panel.remove());
+  insertedPanels.clear();
+  expandedFiles.clear();
+
+  summaryWidget?.remove();
+  summaryWidget = null;
+
+  if (floatingHost) {
+    floatingHost.remove();
+    floatingHost = null;
+  }
 }
 
 /**
@@ -362,7 +849,11 @@ export default {
   findComposerLockElement,
   findContentElement,
   createDiffContainer,
+  copyToClipboard,
   insertDiffIntoPage,
-  addScrollEventListener,
+  scrollToPanel,
+  insertSummaryWidget,
+  applyDisplaySettings,
+  removeDiffs,
   getDebugInfo
 };
@@ -0,0 +1,152 @@
+import settings from './modules/settings.js';
+import licensePolicy from './modules/license-policy.js';
+
+document.addEventListener('DOMContentLoaded', function() {
+  const settingsHostInput = document.getElementById('settingsHost');
+  const settingsHostList = document.getElementById('settingsHosts');
+  const resetHostSettingsButton = document.getElementById('resetHostSettings');
+  const enabledHostsInput = document.getElementById('enabledHosts');
+  const collapsedSectionInputs = document.querySelectorAll('input[name="collapsedSection"]');
+  const visibleColumnInputs = document.querySelectorAll('input[name="visibleColumn"]');
+  const panelPlacementSelect = document.getElementById('panelPlacement');
+  const advisoryUrlInput = document.getElementById('advisoryUrl');
+  const licenseAllowlistInput = document.getElementById('licenseAllowlist');
+  const licenseDenylistInput = document.getElementById('licenseDenylist');
+
+  // Show a message next to a setting, cleared after 3 seconds
+  function showFeedback(id, message, isError = false) {
+    const feedback = document.getElementById(id);
+    feedback.textContent = message;
+    feedback.classList.toggle('error', isError);
+
+    clearTimeout(feedback.clearTimeout);
+    feedback.clearTimeout = setTimeout(() => {
+      feedback.textContent = '';
+    }, 3000);
+  }
+
+  // Host of the GitLab instance whose settings are edited, empty for every instance
+  let settingsHost = '';
+
+  // Save some settings, for the edited instance, and report the result next to them
+  function save(changes, feedbackId, message = 'Saved') {
+    settings.saveSettings(changes, settingsHost || null)
+      .then(() => {
+        showFeedback(feedbackId, message);
+        resetHostSettingsButton.disabled = !settingsHost;
+      })
+      .catch(error => showFeedback(feedbackId, `Could not save: ${error.message}`, true));
+  }
+
+  // Get the values of the checked boxes of a group
+  function getCheckedValues(inputs) {
+    return Array.from(inputs).filter(input => input.checked).map(input => input.value);
+  }
+
+  // Suggest the enabled hosts and the ones with their own settings as instances to edit
+  function fillHostList(enabledHosts, hostSettings) {
+    settingsHostList.replaceChildren(...[...new Set([...enabledHosts, ...Object.keys(hostSettings)])].map(host => {
+      const option = document.createElement('option');
+      option.value = host;
+      return option;
+    }));
+  }
+
+  // Fill in the form with the saved settings of the edited instance
+  async function fillForm() {
+    const [userSettings, hostSettings] = await Promise.all([
+      settings.loadSettings(settingsHost || null),
+      settings.loadHostSettings()
+    ]);
+
+    fillHostList(userSettings.enabledHosts, hostSettings);
+    resetHostSettingsButton.disabled = !(settingsHost in hostSettings);
+
+    // The enabled hosts are shared by every instance
+    enabledHostsInput.disabled = Boolean(settingsHost);
+    enabledHostsInput.value = userSettings.enabledHosts.join('\n');
+    collapsedSectionInputs.forEach(input => {
+      input.checked = userSettings.collapsedSections.includes(input.value);
+    });
+    visibleColumnInputs.forEach(input => {
+      input.checked = !userSettings.hiddenColumns.includes(input.value);
+    });
+    panelPlacementSelect.value = userSettings.panelPlacement;
+    advisoryUrlInput.value = userSettings.advisoryUrl;
+    licenseAllowlistInput.value = userSettings.licenseAllowlist.join(', ');
+    licenseDenylistInput.value = userSettings.licenseDenylist.join(', ');
+  }
+
+  fillForm();
+
+  // Handle edited instance changes
+  settingsHostInput.addEventListener('change', function() {
+    settingsHost = settings.normalizeHost(settingsHostInput.value);
+    settingsHostInput.value = settingsHost;
+
+    fillForm();
+  });
+
+  // Handle instance settings reset
+  resetHostSettingsButton.addEventListener('click', function() {
+    settings.resetHostSettings(settingsHost)
+      .then(() => {
+        showFeedback('settingsHostFeedback', `${settingsHost} uses the settings of every instance`);
+        return fillForm();
+      })
+      .catch(error => showFeedback('settingsHostFeedback', `Could not reset: ${error.message}`, true));
+  });
+
+  // Handle enabled hosts changes
+  enabledHostsInput.addEventListener('change', function() {
+    const enabledHosts = [...new Set(enabledHostsInput.value.split('\n').map(settings.normalizeHost).filter(Boolean))];
+    enabledHostsInput.value = enabledHosts.join('\n');
+
+    save({ enabledHosts }, 'enabledHostsFeedback', enabledHosts.length ? 'Saved' : 'Enabled on every GitLab instance');
+  });
+
+  // Handle collapsed sections changes
+  collapsedSectionInputs.forEach(input => {
+    input.addEventListener('change', function() {
+      save({ collapsedSections: getCheckedValues(collapsedSectionInputs) }, 'collapsedSectionsFeedback');
+    });
+  });
+
+  // Handle column changes
+  visibleColumnInputs.forEach(input => {
+    input.addEventListener('change', function() {
+      const visibleColumns = getCheckedValues(visibleColumnInputs);
+      const hiddenColumns = settings.OPTIONAL_COLUMNS.filter(column => !visibleColumns.includes(column));
+
+      save({ hiddenColumns }, 'visibleColumnsFeedback');
+    });
+  });
+
+  // Handle panel placement changes
+  panelPlacementSelect.addEventListener('change', function() {
+    save({ panelPlacement: panelPlacementSelect.value }, 'panelPlacementFeedback');
+  });
+
+  // Handle advisory database URL changes
+  advisoryUrlInput.addEventListener('change', function() {
+    const advisoryUrl = advisoryUrlInput.value.trim();
+
+    if (advisoryUrl && !advisoryUrlInput.checkValidity()) {
+      showFeedback('advisoryUrlFeedback', 'Invalid URL', true);
+      return;
+    }
+
+    save({ advisoryUrl }, 'advisoryUrlFeedback', advisoryUrl ? 'Advisory database URL saved' : 'Using bundled snapshot');
+  });
+
+  // Handle license policy changes
+  function saveLicensePolicy() {
+    save({
+      licenseAllowlist: licensePolicy.parseLicenseList(licenseAllowlistInput.value),
+      licenseDenylist: licensePolicy.parseLicenseList(licenseDenylistInput.value)
+    }, 'licensePolicyFeedback', 'License policy saved');
+  }
+
+  licenseAllowlistInput.addEventListener('change', saveLicensePolicy);
+  licenseDenylistInput.addEventListener('change', saveLicensePolicy);
+});
@@ -1,7 +1,20 @@
+import composerDiff from './modules/composer-diff.js';
+
+// Delay between two checks while the page is still generating the diffs
+const GENERATING_POLL_DELAY = 1000;
+
 document.addEventListener('DOMContentLoaded', function() {
   const statusElement = document.getElementById('status');
+  const summaryElement = document.getElementById('summary');
+  const summaryFilesElement = document.getElementById('summaryFiles');
+  const regenerateButton = document.getElementById('regenerate');
+  const copyMarkdownButton = document.getElementById('copyMarkdown');
+  const exportDiffButton = document.getElementById('exportDiff');
+  const showPanelButton = document.getElementById('showPanel');
+  const actionFeedback = document.getElementById('actionFeedback');
   const logLevelSelect = document.getElementById('logLevel');
   const logLevelFeedback = document.getElementById('logLevelFeedback');
+  const openOptionsButton = document.getElementById('openOptions');
 
   // Debug info elements
   const isGitLabElement = document.getElementById('isGitLab');
@@ -19,6 +32,9 @@ document.addEventListener('DOMContentLoaded', function() {
     '3': 'ERROR'
   };
 
+  // Diff state of the page shown in the active tab
+  let diffState = null;
+
   // Load saved log level
   chrome.storage.sync.get('logLevel', function(data) {
     if (data.logLevel !== undefined) {
@@ -36,6 +52,11 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
 
+  // Open the options page holding the other settings
+  openOptionsButton.addEventListener('click', function() {
+    chrome.runtime.openOptionsPage();
+  });
+
   // Update debug information
   function updateDebugInfo() {
     chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
@@ -71,8 +92,104 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
-  // Query the active tab to get information about the current page
-  function updateStatus() {
+  // Send a message to the content script of the active tab
+  function sendToActiveTab(message, callback) {
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+      if (tabs.length === 0) return;
+
+      chrome.tabs.sendMessage(tabs[0].id, message, function(response) {
+        if (chrome.runtime.lastError) {
+          console.error(`Error sending ${message.action}:`, chrome.runtime.lastError);
+          callback(null);
+          return;
+        }
+
+        callback(response);
+      });
+    });
+  }
+
+  // Show a feedback message next to the action buttons for a few seconds
+  function showActionFeedback(message, isError) {
+    actionFeedback.textContent = message;
+    actionFeedback.style.color = isError ? '#F44336' : '';
+
+    setTimeout(() => {
+      actionFeedback.textContent = '';
+    }, 3000);
+  }
+
+  // Show the counts and notable packages of each composer.lock diff
+  function renderSummary(diffs) {
+    summaryFilesElement.textContent = '';
+
+    diffs.forEach(function({ filePath, summary }) {
+      const file = document.createElement('div');
+      file.className = 'summary-file';
+
+      const counts = document.createElement('div');
+      counts.className = 'summary-counts';
+      const path = document.createElement('code');
+      path.textContent = filePath;
+      counts.appendChild(path);
+      counts.appendChild(document.createTextNode(`: ${composerDiff.describeSummaryCounts(summary)}`));
+      file.appendChild(counts);
+
+      const highlights = composerDiff.describeSummaryHighlights(summary);
+      if (highlights.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'summary-highlights';
+
+        highlights.forEach(function({ type, text }) {
+          const item = document.createElement('li');
+          item.className = `summary-${type}`;
+          item.textContent = text;
+          list.appendChild(item);
+        });
+
+        file.appendChild(list);
+      }
+
+      summaryFilesElement.appendChild(file);
+    });
+  }
+
+  // Show the diff state of the page
+  function showDiffState(state) {
+    diffState = state;
+    summaryElement.hidden = true;
+
+    if (!state) {
+      statusElement.textContent = 'Error communicating with the page. Please refresh and try again.';
+      return;
+    }
+
+    if (!state.found) {
+      statusElement.textContent = 'No composer.lock file found in this merge request.';
+      return;
+    }
+
+    if (state.generating) {
+      statusElement.textContent = 'Found composer.lock in the merge request, generating the diff...';
+      setTimeout(updateSummary, GENERATING_POLL_DELAY);
+      return;
+    }
+
+    if (state.diffs.length === 0) {
+      statusElement.textContent = 'The diff of composer.lock could not be generated. Try regenerating it.';
+      summaryElement.hidden = false;
+      summaryFilesElement.textContent = '';
+      return;
+    }
+
+    const fileCount = state.diffs.length;
+    statusElement.textContent = `Dependency changes in ${fileCount} composer.lock file${fileCount > 1 ? 's' : ''}:`;
+    renderSummary(state.diffs);
+    summaryElement.hidden = false;
+  }
+
+  // Query the active tab to get the composer diff of the current page
+  function updateSummary() {
     chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
       if (tabs.length === 0) return;
 
@@ -85,21 +202,77 @@ document.addEventListener('DOMContentLoaded', function() {
         return;
       }
 
-      // Send a message to the content script to check for composer.lock files
-      chrome.tabs.sendMessage(activeTab.id, { action: 'checkComposerLock' }, function(response) {
-        if (chrome.runtime.lastError) {
-          statusElement.textContent = 'Error communicating with the page. Please refresh and try again.';
-          return;
-        }
+      // Send a message to the content script to get the generated diffs
+      sendToActiveTab({ action: 'getComposerDiff' }, showDiffState);
+    });
+  }
 
-        if (response && response.found) {
-          statusElement.textContent = 'Found composer.lock in the merge request!';
-        } else {
-          statusElement.textContent = 'No composer.lock file found in this merge request.';
-        }
+  // Get the Markdown of every diff, with a heading per composer.lock file
+  function getMarkdown(diffs) {
+    return diffs
+      .map(({ filePath, markdown }) => [composerDiff.generateMarkdownHeading(filePath), '', markdown].join('\n'))
+      .join('\n\n');
+  }
+
+  // Generate the diffs again, bypassing the cache
+  regenerateButton.addEventListener('click', function() {
+    regenerateButton.disabled = true;
+    statusElement.textContent = 'Generating the diff again...';
+
+    sendToActiveTab({ action: 'regenerateDiff' }, function(response) {
+      regenerateButton.disabled = false;
+
+      if (response && response.error) {
+        showActionFeedback(response.error, true);
+        updateSummary();
+        return;
+      }
+
+      showDiffState(response);
+    });
+  });
+
+  // Copy the Markdown of the diffs, to paste in a comment or a changelog
+  copyMarkdownButton.addEventListener('click', function() {
+    if (!diffState || diffState.diffs.length === 0) return;
+
+    navigator.clipboard.writeText(getMarkdown(diffState.diffs))
+      .then(() => showActionFeedback('Copied to clipboard'))
+      .catch(error => {
+        console.error('Error copying Markdown:', error);
+        showActionFeedback('Could not copy to clipboard', true);
       });
+  });
+
+  // Download the structured diffs as a JSON file
+  exportDiffButton.addEventListener('click', function() {
+    if (!diffState || diffState.diffs.length === 0) return;
+
+    const data = {
+      mergeRequest: diffState.mergeRequest,
+      files: diffState.diffs.map(({ filePath, summary, diff }) => ({ filePath, summary, diff }))
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `composer-diff-${(diffState.mergeRequest || 'merge-request').replace(/[^\w.-]+/g, '-')}.json`;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  });
+
+  // Jump to the diff panel in the page
+  showPanelButton.addEventListener('click', function() {
+    sendToActiveTab({ action: 'showDiffPanel' }, function(response) {
+      if (response && response.success) {
+        window.close();
+      } else {
+        showActionFeedback((response && response.error) || 'Could not show the diff panel', true);
+      }
     });
-  }
+  });
 
   // Handle log level changes
   logLevelSelect.addEventListener('change', function() {
@@ -136,6 +309,6 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
 
-  updateStatus();
+  updateSummary();
   updateDebugInfo();
 });
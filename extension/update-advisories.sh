@@ -0,0 +1,51 @@
+#!/bin/bash
+
+# Refresh the security advisory snapshot bundled with the extension, or only check it with --check
+#
+# The snapshot is the output of the Packagist advisories API, which includes the
+# FriendsOfPHP/security-advisories database, trimmed to the fields the extension reads.
+
+set -euo pipefail
+
+cd "$(dirname "$0")"
+
+SNAPSHOT="data/security-advisories.json"
+
+# Every advisory updated since the epoch, that is all of them
+API_URL="https://packagist.org/api/security-advisories/?updatedSince=1"
+
+# Fail when a snapshot holds no advisory, which would silently turn the security checks off
+check_snapshot() {
+  local count
+  count=$(jq '[.advisories[]? | length] | add // 0' "$1")
+
+  if [ "$count" -eq 0 ]; then
+    echo "Error: $1 holds no security advisories, run ./update-advisories.sh" >&2
+    return 1
+  fi
+
+  echo "$1 holds $count security advisories"
+}
+
+if [ "${1:-}" = "--check" ]; then
+  check_snapshot "$SNAPSHOT"
+  exit 0
+fi
+
+for command in curl jq; do
+  if ! command -v "$command" &> /dev/null; then
+    echo "Error: $command is required to update the security advisories" >&2
+    exit 1
+  fi
+done
+
+download=$(mktemp)
+trap 'rm -f "$download"' EXIT
+
+echo "Downloading security advisories from Packagist..."
+curl --fail --silent --show-error "$API_URL" \
+  | jq '{advisories: (.advisories | map_values(map({packageName, title, cve, link, affectedVersions})))}' \
+  > "$download"
+
+check_snapshot "$download"
+mv "$download" "$SNAPSHOT"
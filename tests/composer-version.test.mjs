@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import composerVersion from '../extension/modules/composer-version.js';
+
+test('getLowerBound reads the start of a hyphen range', () => {
+  assert.equal(composerVersion.getLowerBound('7.4 - 8.2'), '7.4');
+});
+
+test('getLowerBound picks the lowest alternative around a hyphen range', () => {
+  assert.equal(composerVersion.getLowerBound('^8.1 || 7.4 - 8.0'), '7.4');
+});
+
+test('getLowerBound keeps the highest bound of the comparisons of an alternative', () => {
+  assert.equal(composerVersion.getLowerBound('>=7.2.5 <8.0 || ^8.0'), '7.2.5');
+});